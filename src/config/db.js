@@ -1,4 +1,10 @@
 const { MongoClient } = require("mongodb");
+const { ensureDefaultPricing } = require("../utils/pricing");
+const { migrateTaskCategories } = require("../utils/categories");
+const { backfillReservedCounts } = require("../utils/claims");
+const { backfillSubmissionQuotas } = require("../utils/submissionLimits");
+const { backfillReviewDueDates } = require("../utils/review");
+const { backfillPromoRedemptions } = require("../utils/promoCodes");
 
 let db = null;
 let client = null;
@@ -18,6 +24,9 @@ const connectDB = async () => {
     
     // Create indexes for better performance
     await createIndexes();
+
+    // Bring documents created by older versions up to date
+    await backfillDocuments();
     
     return db;
   } catch (error) {
@@ -26,30 +35,161 @@ const connectDB = async () => {
   }
 };
 
-const createIndexes = async () => {
+// Create one index. Each is handled on its own so one failure doesn't skip
+// the rest. SAFETY CHECK: A unique index that can't be built (e.g. because
+// existing documents break it) aborts startup, as the code relies on it.
+const ensureIndex = async (collection, keys, options = {}) => {
   try {
-    // Users collection indexes
-    await db.collection("users").createIndex({ email: 1 }, { unique: true });
-    
-    // Submissions collection indexes
-    await db.collection("submissions").createIndex(
-      { task: 1, worker: 1 }, 
-      { unique: true }
-    );
-    
-    // Tasks collection indexes
-    await db.collection("tasks").createIndex({ buyer: 1 });
-    await db.collection("tasks").createIndex({ status: 1 });
-    
-    console.log("Database indexes created");
+    await db.collection(collection).createIndex(keys, options);
   } catch (error) {
-    // Indexes might already exist, that's okay
+    if (options.unique) {
+      throw new Error(`Could not create unique index on ${collection} ${JSON.stringify(keys)}: ${error.message}`);
+    }
+    // Indexes might already exist with other options, that's okay
     if (error.code !== 85) {
-      console.error("Error creating indexes:", error.message);
+      console.error(`Error creating index on ${collection} ${JSON.stringify(keys)}:`, error.message);
     }
   }
 };
 
+const createIndexes = async () => {
+  // Users collection indexes
+  await ensureIndex("users", { email: 1 }, { unique: true });
+  
+  // Submissions collection indexes
+  // Workers may submit to a task more than once, numbered by attempt.
+  // The older one-submission-per-worker index is replaced.
+  await db.collection("submissions").dropIndex("task_1_worker_1").catch(() => {});
+  await ensureIndex("submissions",
+    { task: 1, worker: 1, attempt: 1 },
+    { unique: true }
+  );
+  await ensureIndex("submission_quotas",
+    { task: 1, worker: 1 },
+    { unique: true }
+  );
+  await ensureIndex("submissions", { status: 1, reviewDueAt: 1 });
+  await ensureIndex("submissions", { status: 1, revisionDueAt: 1 });
+  
+  // Tasks collection indexes
+  await ensureIndex("tasks", { buyer: 1 });
+  await ensureIndex("tasks", { status: 1 });
+  await ensureIndex("tasks", { status: 1, deadline: 1 });
+  // Keyset pages of open tasks by newest and by reward
+  await ensureIndex("tasks", { status: 1, createdAt: -1, _id: -1 });
+  await ensureIndex("tasks", { status: 1, reward: -1, _id: -1 });
+  await ensureIndex("tasks",
+    { title: "text", requirements: "text", description: "text" },
+    { name: "task_text_search", weights: { title: 10, requirements: 3, description: 1 } }
+  );
+
+  // Ledger collection indexes
+  await ensureIndex("ledger", { user: 1, createdAt: -1 });
+
+  // Escrow events collection indexes
+  await ensureIndex("escrow_events", { task: 1, createdAt: 1 });
+
+  // Payments are looked up by provider intent when webhooks arrive
+  await ensureIndex("payments", { provider: 1, intentId: 1 });
+
+  // Idempotency keys are unique per user and kept for 24 hours
+  await ensureIndex("idempotency_keys",
+    { user: 1, key: 1 },
+    { unique: true }
+  );
+  await ensureIndex("idempotency_keys",
+    { createdAt: 1 },
+    { expireAfterSeconds: 24 * 60 * 60 }
+  );
+
+  // Promo codes collection indexes
+  await ensureIndex("promo_codes", { code: 1 }, { unique: true });
+  await ensureIndex("payments", { "promo.promoId": 1, user: 1 });
+  await ensureIndex("promo_redemptions", { promo: 1, user: 1 }, { unique: true });
+
+  // Categories are looked up by slug and listed under their parent
+  await ensureIndex("categories", { slug: 1 }, { unique: true });
+  await ensureIndex("categories", { parent: 1 });
+  await ensureIndex("tasks", { category: 1, status: 1 });
+
+  // A worker holds at most one active claim per task; expired claims are swept
+  await ensureIndex("claims",
+    { task: 1, worker: 1 },
+    { unique: true, partialFilterExpression: { status: "active" } }
+  );
+  await ensureIndex("claims", { status: 1, expiresAt: 1 });
+  await ensureIndex("claims", { worker: 1, createdAt: -1 });
+
+  // Notifications are listed newest first, optionally unread only
+  await ensureIndex("notifications", { user: 1, read: 1, createdAt: -1 });
+
+  // One appeal per rejected submission
+  await ensureIndex("appeals", { submission: 1 }, { unique: true });
+  await ensureIndex("appeals", { worker: 1, createdAt: -1 });
+  await ensureIndex("appeals", { buyer: 1, createdAt: -1 });
+  await ensureIndex("appeals", { status: 1, createdAt: -1 });
+
+  // Attachment files are found by what they're attached to for cleanup
+  await ensureIndex("attachments.files", { "metadata.task": 1 });
+  await ensureIndex("attachments.files", { "metadata.submission": 1 });
+
+  // Template names are unique per buyer
+  await ensureIndex("task_templates", { buyer: 1, name: 1 }, { unique: true });
+
+  // Pricing collections keep one document per version
+  await ensureIndex("coin_packages",
+    { packageId: 1, version: 1 },
+    { unique: true }
+  );
+  await ensureIndex("exchange_rates",
+    { paymentSystem: 1, version: 1 },
+    { unique: true }
+  );
+  
+  console.log("Database indexes created");
+};
+
+const backfillDocuments = async () => {
+  try {
+    // Tasks created before per-task escrow hold their unfilled slots' cost
+    await db.collection("tasks").updateMany(
+      { escrow: { $exists: false } },
+      [
+        {
+          $set: {
+            escrow: {
+              $multiply: [
+                { $max: [0, { $subtract: ["$quantity", "$completedCount"] }] },
+                "$reward",
+              ],
+            },
+          },
+        },
+      ]
+    );
+
+    // Default coin packages and exchange rates for a fresh database
+    await ensureDefaultPricing(db);
+
+    // Free-text categories from before the managed taxonomy
+    await migrateTaskCategories(db);
+
+    // Slots held by submissions made before claims existed
+    await backfillReservedCounts(db);
+
+    // Attempt numbers and per-worker quotas for submissions made before them
+    await backfillSubmissionQuotas(db);
+
+    // Review deadlines for submissions waiting since before auto-approval
+    await backfillReviewDueDates(db);
+
+    // Per-user promo code counters for redemptions made before them
+    await backfillPromoRedemptions(db);
+  } catch (error) {
+    console.error("Error backfilling documents:", error.message);
+  }
+};
+
 const getDb = () => {
   if (!db) {
     throw new Error("Database not initialized. Call connectDB first.");
@@ -64,4 +204,14 @@ const getClient = () => {
   return client;
 };
 
-module.exports = { connectDB, getDb, getClient };
+// Run fn inside a transaction, passing it the session to use
+const withTransaction = async (fn) => {
+  const session = getClient().startSession();
+  try {
+    return await session.withTransaction(() => fn(session));
+  } finally {
+    await session.endSession();
+  }
+};
+
+module.exports = { connectDB, getDb, getClient, withTransaction };
@@ -2,8 +2,12 @@ require("dotenv").config();
 const express = require("express");
 const cors = require("cors");
 const { connectDB } = require("./config/db");
+const { checkPaymentConfig } = require("./payments");
 const routes = require("./routes");
 
+// Fail fast on a payment setup that would accept forged confirmations
+checkPaymentConfig();
+
 const app = express();
 
 // Middleware
@@ -11,7 +15,12 @@ app.use(cors({
   origin: process.env.CLIENT_URL || "http://localhost:3000",
   credentials: true,
 }));
-app.use(express.json());
+app.use(express.json({
+  // Keep the raw body so payment webhook signatures can be verified
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  },
+}));
 
 // Routes
 app.use("/api", routes);
@@ -0,0 +1,170 @@
+const { getDb, withTransaction } = require("../config/db");
+const { EscrowExhaustedError } = require("../utils/escrow");
+const { SlotsFullError } = require("../utils/claims");
+const {
+  getReviewWarningHours,
+  lockSubmission,
+  unlockSubmission,
+  approveSubmission,
+  rejectSubmission,
+} = require("../utils/review");
+const { notify } = require("../utils/notifications");
+const { withLock } = require("./lock");
+
+const BATCH_SIZE = 100;
+const LOCK_TTL_MS = 10 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+// Tell buyers about submissions that will soon be approved for them,
+// one notification per task
+const sendReviewWarnings = async (db) => {
+  const warnBefore = new Date(Date.now() + getReviewWarningHours() * HOUR_MS);
+
+  const dueSoon = await db.collection("submissions").aggregate([
+    { $match: { status: "pending", reviewWarningSentAt: null, reviewDueAt: { $lte: warnBefore } } },
+    { $group: { _id: "$task", submissions: { $push: "$_id" }, firstDue: { $min: "$reviewDueAt" } } },
+    { $limit: BATCH_SIZE },
+    {
+      $lookup: {
+        from: "tasks",
+        localField: "_id",
+        foreignField: "_id",
+        as: "taskInfo"
+      }
+    },
+    { $unwind: "$taskInfo" }
+  ]).toArray();
+
+  for (const group of dueSoon) {
+    const count = group.submissions.length;
+    await notify(db, {
+      user: group.taskInfo.buyer,
+      type: "review_reminder",
+      task: group._id,
+      message: `${count} submission${count === 1 ? "" : "s"} on "${group.taskInfo.title}" will be approved automatically from ${group.firstDue.toISOString()} unless you review ${count === 1 ? "it" : "them"}.`,
+    });
+
+    await db.collection("submissions").updateMany(
+      { _id: { $in: group.submissions } },
+      { $set: { reviewWarningSentAt: new Date() } }
+    );
+  }
+
+  return dueSoon.reduce((sum, group) => sum + group.submissions.length, 0);
+};
+
+// Reject submissions whose worker didn't resubmit before the revision
+// window ran out, freeing their slots
+const expireRevisions = async (db) => {
+  let expired = 0;
+
+  const overdue = await db
+    .collection("submissions")
+    .find({ status: "revision_requested", revisionDueAt: { $lte: new Date() } })
+    .limit(BATCH_SIZE)
+    .toArray();
+
+  for (const waiting of overdue) {
+    const submission = await lockSubmission(db, { _id: waiting._id, status: "revision_requested" });
+    if (!submission) continue;
+
+    try {
+      const task = await db.collection("tasks").findOne({ _id: submission.task });
+      if (!task) {
+        throw new Error("Associated task not found");
+      }
+
+      await withTransaction(async (session) => {
+        await rejectSubmission(db, session, {
+          submission,
+          task,
+          actor: null,
+          feedback: `No revision was submitted in time. Last feedback: ${submission.feedback}`,
+        });
+        await notify(db, {
+          user: submission.worker,
+          type: "revision_expired",
+          task: task._id,
+          submission: submission._id,
+          message: `Your submission to "${task.title}" was rejected because no revision was submitted in time.`,
+        }, session);
+      });
+      expired += 1;
+    } catch (error) {
+      await unlockSubmission(db, submission, "revision_requested");
+      console.error(`Failed to expire revision for submission ${submission._id}:`, error.message);
+    }
+  }
+
+  return expired;
+};
+
+// Warn buyers about submissions nearing their review deadline, then approve
+// the ones past it through the same payout as a manual review. Revision
+// requests the worker let run out are rejected.
+const runAutoApproval = () =>
+  withLock("auto-approve", LOCK_TTL_MS, async () => {
+    const db = getDb();
+    const summary = { warned: 0, approved: 0, skipped: 0, failed: 0, revisionsExpired: 0 };
+
+    summary.warned = await sendReviewWarnings(db);
+    summary.revisionsExpired = await expireRevisions(db);
+
+    const overdue = await db
+      .collection("submissions")
+      .find({ status: "pending", reviewDueAt: { $lte: new Date() } })
+      .sort({ reviewDueAt: 1 })
+      .limit(BATCH_SIZE)
+      .toArray();
+
+    for (const pending of overdue) {
+      // The buyer may have started a review since the batch was read
+      const submission = await lockSubmission(db, { _id: pending._id });
+      if (!submission) continue;
+
+      try {
+        const task = await db.collection("tasks").findOne({ _id: submission.task });
+        if (!task) {
+          throw new Error("Associated task not found");
+        }
+
+        await withTransaction((session) =>
+          approveSubmission(db, session, {
+            submission,
+            task,
+            actor: null,
+            feedback: "Approved automatically after the review window passed",
+            autoApproved: true,
+          })
+        );
+
+        await notify(db, {
+          user: submission.worker,
+          type: "submission_auto_approved",
+          task: task._id,
+          submission: submission._id,
+          message: `Your submission to "${task.title}" was approved automatically because the buyer didn't review it in time.`,
+        });
+        summary.approved += 1;
+      } catch (error) {
+        await unlockSubmission(db, submission);
+
+        // These won't resolve by waiting, so leave the submission for the
+        // buyer or an admin instead of retrying it every run
+        if (error instanceof EscrowExhaustedError || error instanceof SlotsFullError) {
+          await db.collection("submissions").updateOne(
+            { _id: submission._id },
+            { $set: { reviewDueAt: null, autoApproveError: error.message } }
+          );
+          summary.skipped += 1;
+        } else {
+          summary.failed += 1;
+          console.error(`Failed to auto-approve submission ${submission._id}:`, error.message);
+        }
+      }
+    }
+
+    return summary;
+  });
+
+module.exports = { runAutoApproval };
@@ -0,0 +1,38 @@
+const { getDb, withTransaction } = require("../config/db");
+const { endClaim } = require("../utils/claims");
+const { withLock } = require("./lock");
+
+const BATCH_SIZE = 500;
+const LOCK_TTL_MS = 5 * 60 * 1000;
+
+// Release slots held by claims whose hold time ran out without a submission
+const runClaimExpiry = () =>
+  withLock("expire-claims", LOCK_TTL_MS, async () => {
+    const db = getDb();
+    const summary = { expired: 0, failed: 0 };
+
+    const stale = await db
+      .collection("claims")
+      .find({ status: "active", expiresAt: { $lte: new Date() } })
+      .sort({ expiresAt: 1 })
+      .limit(BATCH_SIZE)
+      .toArray();
+
+    for (const claim of stale) {
+      try {
+        // endClaim only applies to a still-active claim, so one the worker
+        // submitted or released in the meantime is left alone
+        const ended = await withTransaction((session) =>
+          endClaim(db, session, { claim, status: "expired" })
+        );
+        if (ended) summary.expired += 1;
+      } catch (error) {
+        summary.failed += 1;
+        console.error(`Failed to expire claim ${claim._id}:`, error.message);
+      }
+    }
+
+    return summary;
+  });
+
+module.exports = { runClaimExpiry };
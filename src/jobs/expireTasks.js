@@ -0,0 +1,48 @@
+const { getDb, withTransaction } = require("../config/db");
+const { closeTask } = require("../utils/taskLifecycle");
+const { withLock } = require("./lock");
+
+const BATCH_SIZE = 100;
+const LOCK_TTL_MS = 5 * 60 * 1000;
+
+// Expire open tasks past their deadline and refund their unfilled slots.
+// Pending submissions on those tasks stay reviewable: escrow covering them is
+// held back, paid out if they're approved and refunded if they're rejected.
+const runTaskExpiry = () =>
+  withLock("expire-tasks", LOCK_TTL_MS, async () => {
+    const db = getDb();
+    const summary = { expired: 0, refunded: 0, reserved: 0, failed: 0 };
+
+    const overdue = await db
+      .collection("tasks")
+      .find({
+        status: { $in: ["active", "paused"] },
+        deadline: { $ne: null, $lte: new Date() },
+      })
+      .sort({ deadline: 1 })
+      .limit(BATCH_SIZE)
+      .toArray();
+
+    for (const task of overdue) {
+      try {
+        // closeTask only applies if the task is still open, so a task handled
+        // by a concurrent run or request is skipped rather than refunded twice
+        const result = await withTransaction((session) =>
+          closeTask(db, session, { task, to: "expired", actor: null, note: "Deadline passed" })
+        );
+
+        if (result) {
+          summary.expired += 1;
+          summary.refunded += result.refunded;
+          summary.reserved += result.reserved;
+        }
+      } catch (error) {
+        summary.failed += 1;
+        console.error(`Failed to expire task ${task._id}:`, error.message);
+      }
+    }
+
+    return summary;
+  });
+
+module.exports = { runTaskExpiry };
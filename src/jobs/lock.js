@@ -0,0 +1,49 @@
+const crypto = require("crypto");
+const { getDb } = require("../config/db");
+
+// Lease-based lock so a job only runs on one serverless instance at a time.
+// A lease expires on its own if the instance holding it dies mid-run.
+const acquireLock = async (name, ttlMs) => {
+  const db = getDb();
+  const owner = crypto.randomUUID();
+  const now = new Date();
+
+  try {
+    const lock = await db.collection("job_locks").findOneAndUpdate(
+      { _id: name, lockedUntil: { $lte: now } },
+      { $set: { owner, lockedAt: now, lockedUntil: new Date(now.getTime() + ttlMs) } },
+      { upsert: true, returnDocument: "after" }
+    );
+    return lock && lock.owner === owner ? owner : null;
+  } catch (error) {
+    // Another instance holds the lease, so the upsert hit the existing _id
+    if (error.code === 11000) {
+      return null;
+    }
+    throw error;
+  }
+};
+
+const releaseLock = async (name, owner) => {
+  const db = getDb();
+  await db.collection("job_locks").updateOne(
+    { _id: name, owner },
+    { $set: { lockedUntil: new Date(0) } }
+  );
+};
+
+// Run fn while holding the named lock. Returns null if another run holds it.
+const withLock = async (name, ttlMs, fn) => {
+  const owner = await acquireLock(name, ttlMs);
+  if (!owner) {
+    return null;
+  }
+
+  try {
+    return await fn();
+  } finally {
+    await releaseLock(name, owner);
+  }
+};
+
+module.exports = { withLock };
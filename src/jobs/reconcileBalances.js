@@ -0,0 +1,23 @@
+const { getDb } = require("../config/db");
+const { reconcileBalances } = require("../utils/reconciliation");
+const { withLock } = require("./lock");
+
+const LOCK_TTL_MS = 10 * 60 * 1000;
+
+// Scheduled balance check - stores a report so admins can review drift later
+const runBalanceReconciliation = () =>
+  withLock("reconcile-balances", LOCK_TTL_MS, async () => {
+    const db = getDb();
+    const report = await reconcileBalances(db);
+
+    if (report.driftedUsers > 0) {
+      console.warn(
+        `Balance reconciliation found ${report.driftedUsers} user(s) with drift (total ${report.totalDrift} coins)`
+      );
+    }
+
+    const result = await db.collection("reconciliation_reports").insertOne(report);
+    return { ...report, _id: result.insertedId };
+  });
+
+module.exports = { runBalanceReconciliation };
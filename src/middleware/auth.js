@@ -50,6 +50,27 @@ const protect = async (req, res, next) => {
   }
 };
 
+// Identify the user when a valid token is sent, but let anonymous requests through
+const optionalAuth = async (req, res, next) => {
+  try {
+    if (req.headers.authorization?.startsWith("Bearer") && process.env.JWT_SECRET) {
+      const token = req.headers.authorization.split(" ")[1];
+      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      const db = getDb();
+      const user = await db.collection("users").findOne({
+        _id: new ObjectId(decoded.id)
+      });
+
+      if (user) {
+        req.user = user;
+      }
+    }
+  } catch (error) {
+    // An invalid token is treated like no token on public routes
+  }
+  next();
+};
+
 // Restrict to specific roles
 const restrictTo = (...roles) => {
   return (req, res, next) => {
@@ -63,6 +84,26 @@ const restrictTo = (...roles) => {
   };
 };
 
+// Protect scheduled job routes - verify the shared cron secret
+const protectCron = (req, res, next) => {
+  if (!process.env.CRON_SECRET) {
+    console.error("CRITICAL: CRON_SECRET environment variable is not set");
+    return res.status(500).json({
+      success: false,
+      message: "Server configuration error",
+    });
+  }
+
+  if (req.headers.authorization !== `Bearer ${process.env.CRON_SECRET}`) {
+    return res.status(401).json({
+      success: false,
+      message: "Not authorized",
+    });
+  }
+
+  next();
+};
+
 // Generate JWT token
 const generateToken = (id) => {
   // SECURITY FIX: Ensure JWT_SECRET is set
@@ -75,4 +116,4 @@ const generateToken = (id) => {
   });
 };
 
-module.exports = { protect, restrictTo, generateToken };
+module.exports = { protect, optionalAuth, restrictTo, protectCron, generateToken };
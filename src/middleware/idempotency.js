@@ -0,0 +1,136 @@
+const crypto = require("crypto");
+const { getDb } = require("../config/db");
+
+// How long a request holds its key before a retry may take over
+const LEASE_MS = 2 * 60 * 1000;
+
+// Fingerprint of a request so a reused key with a different body is caught
+const hashRequest = (req) =>
+  crypto
+    .createHash("sha256")
+    .update(JSON.stringify({ method: req.method, url: req.originalUrl, body: req.body ?? null }))
+    .digest("hex");
+
+// Replay the first response for a repeated Idempotency-Key header.
+// Must run after protect, since keys are scoped to the user.
+const idempotent = async (req, res, next) => {
+  const key = req.headers["idempotency-key"];
+
+  // The header is optional; requests without it are processed as usual
+  if (key === undefined) {
+    return next();
+  }
+
+  if (typeof key !== "string" || key.length < 1 || key.length > 255) {
+    return res.status(400).json({
+      success: false,
+      message: "Idempotency-Key must be between 1 and 255 characters",
+    });
+  }
+
+  let keys = null;
+  let owner = null;
+
+  try {
+    const db = getDb();
+    keys = db.collection("idempotency_keys");
+    const requestHash = hashRequest(req);
+    const now = new Date();
+
+    // The request holds the key for a lease, so a retry can take over if
+    // the process handling it dies before storing a response
+    const lease = {
+      owner: crypto.randomUUID(),
+      lockedUntil: new Date(now.getTime() + LEASE_MS),
+    };
+
+    try {
+      await keys.insertOne({
+        user: req.user._id,
+        key,
+        requestHash,
+        status: "in_progress",
+        ...lease,
+        responseStatus: null,
+        responseBody: null,
+        createdAt: now,
+      });
+      owner = lease.owner;
+    } catch (error) {
+      if (error.code !== 11000) {
+        throw error;
+      }
+
+      const existing = await keys.findOne({ user: req.user._id, key });
+      const leaseActive = existing && existing.status === "in_progress" &&
+        existing.lockedUntil && existing.lockedUntil > now;
+
+      if (!existing || leaseActive) {
+        return res.status(409).json({
+          success: false,
+          message: "A request with this Idempotency-Key is still being processed",
+        });
+      }
+
+      if (existing.requestHash !== requestHash) {
+        return res.status(422).json({
+          success: false,
+          message: "Idempotency-Key has already been used with a different request",
+        });
+      }
+
+      if (existing.status === "completed") {
+        res.set("Idempotent-Replayed", "true");
+        return res.status(existing.responseStatus).json(existing.responseBody);
+      }
+
+      // The earlier attempt's lease ran out without a response; take it over
+      const takenOver = await keys.findOneAndUpdate(
+        { _id: existing._id, status: "in_progress", owner: existing.owner },
+        { $set: lease }
+      );
+      if (!takenOver) {
+        return res.status(409).json({
+          success: false,
+          message: "A request with this Idempotency-Key is still being processed",
+        });
+      }
+      owner = lease.owner;
+    }
+
+    // Store the response before sending it so a retry always sees it.
+    // Server errors release the key so the client can retry with it.
+    const sendJson = res.json.bind(res);
+    res.json = (body) => {
+      const mine = { user: req.user._id, key, owner };
+      const store = res.statusCode >= 500
+        ? keys.deleteOne(mine)
+        : keys.updateOne(
+            mine,
+            { $set: { status: "completed", responseStatus: res.statusCode, responseBody: body } }
+          );
+
+      store
+        .catch((error) => console.error("Idempotency key update error:", error))
+        .finally(() => sendJson(body));
+
+      return res;
+    };
+
+    next();
+  } catch (error) {
+    console.error("Idempotency check error:", error);
+
+    // Release a key this request took so a retry isn't blocked by it
+    if (owner) {
+      await keys.deleteOne({ user: req.user._id, key, owner }).catch(() => {});
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Failed to process request. Please try again.",
+    });
+  }
+};
+
+module.exports = { idempotent };
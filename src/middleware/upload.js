@@ -0,0 +1,47 @@
+const multer = require("multer");
+const { ALLOWED_TYPES, MAX_FILES_PER_REQUEST, getMaxFileBytes } = require("../utils/attachments");
+
+// Accept up to MAX_FILES_PER_REQUEST files in the `attachments` field of a
+// multipart request, held in memory until they're validated and stored.
+// JSON requests pass through untouched.
+const uploadAttachments = (req, res, next) => {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: getMaxFileBytes(), files: MAX_FILES_PER_REQUEST },
+    fileFilter: (req, file, cb) => {
+      if (!ALLOWED_TYPES[file.mimetype]) {
+        req.rejectedFileType = file.mimetype;
+        return cb(null, false);
+      }
+      cb(null, true);
+    },
+  }).array("attachments", MAX_FILES_PER_REQUEST);
+
+  upload(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      const messages = {
+        LIMIT_FILE_SIZE: `Files cannot be larger than ${Math.round(getMaxFileBytes() / (1024 * 1024) * 10) / 10} MB`,
+        LIMIT_FILE_COUNT: `At most ${MAX_FILES_PER_REQUEST} files can be uploaded at once`,
+      };
+      return res.status(400).json({
+        success: false,
+        message: messages[error.code] || error.message,
+      });
+    }
+    if (error) {
+      return next(error);
+    }
+
+    if (req.rejectedFileType) {
+      return res.status(400).json({
+        success: false,
+        message: `File type ${req.rejectedFileType} is not allowed. Allowed types: ${Object.keys(ALLOWED_TYPES).join(", ")}`,
+      });
+    }
+
+    req.files = req.files || [];
+    next();
+  });
+};
+
+module.exports = { uploadAttachments };
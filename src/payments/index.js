@@ -0,0 +1,44 @@
+const mock = require("./mock");
+const stripe = require("./stripe");
+
+// Every provider implements:
+// - createIntent({ amount, currency, metadata }) -> { intentId, clientSecret }
+// - parseWebhook(rawBody, headers) -> { eventId, type, intentId } or null for
+//   events we don't handle; throws if the signature is invalid.
+//   type is one of "succeeded", "failed", "cancelled", "refunded".
+const providers = { mock, stripe };
+
+const isDevelopment = () => process.env.NODE_ENV === "development";
+
+// Provider used for new purchases. Only development falls back to the mock
+// provider when none is configured.
+const getActiveProvider = () => {
+  const name = process.env.PAYMENT_PROVIDER || (isDevelopment() ? "mock" : null);
+  if (!name) {
+    throw new Error("PAYMENT_PROVIDER must be set");
+  }
+  const provider = providers[name];
+  if (!provider) {
+    throw new Error(`Unknown payment provider: ${name}`);
+  }
+  return provider;
+};
+
+// SECURITY FIX: Refuse to start with a payment setup that would let anyone
+// confirm payments, rather than falling back to insecure defaults
+const checkPaymentConfig = () => {
+  const provider = getActiveProvider();
+  if (provider.name === "mock" && !process.env.MOCK_PAYMENT_WEBHOOK_SECRET) {
+    throw new Error("MOCK_PAYMENT_WEBHOOK_SECRET must be set to use the mock payment provider");
+  }
+};
+
+// SECURITY FIX: Mock payments can only be confirmed while the mock provider
+// is the active one, and never in production
+const mockPaymentsEnabled = () =>
+  process.env.NODE_ENV !== "production" && getActiveProvider().name === "mock";
+
+// Provider a webhook was sent by
+const getProvider = (name) => providers[name] || null;
+
+module.exports = { getActiveProvider, getProvider, checkPaymentConfig, mockPaymentsEnabled };
@@ -0,0 +1,77 @@
+const crypto = require("crypto");
+
+// Local provider for development and tests. Intents stay pending until a
+// signed webhook built with buildWebhook() is posted back to the server.
+const SIGNATURE_HEADER = "x-mock-signature";
+
+const EVENT_TYPES = ["succeeded", "failed", "cancelled", "refunded"];
+
+const getSecret = () => {
+  if (!process.env.MOCK_PAYMENT_WEBHOOK_SECRET) {
+    throw new Error("MOCK_PAYMENT_WEBHOOK_SECRET must be set");
+  }
+  return process.env.MOCK_PAYMENT_WEBHOOK_SECRET;
+};
+
+const sign = (payload) =>
+  crypto.createHmac("sha256", getSecret()).update(payload).digest("hex");
+
+const createIntent = async ({ amount, currency }) => {
+  const intentId = `mock_pi_${crypto.randomBytes(12).toString("hex")}`;
+  return {
+    intentId,
+    clientSecret: `${intentId}_secret_${crypto.randomBytes(8).toString("hex")}`,
+    amount,
+    currency,
+  };
+};
+
+// Build the raw body and headers of a webhook confirming an intent outcome
+const buildWebhook = (intentId, type) => {
+  if (!EVENT_TYPES.includes(type)) {
+    throw new Error(`Unknown mock payment event: ${type}`);
+  }
+
+  const body = JSON.stringify({
+    id: `mock_evt_${crypto.randomBytes(12).toString("hex")}`,
+    type,
+    intentId,
+    createdAt: new Date().toISOString(),
+  });
+
+  return {
+    body,
+    headers: {
+      "content-type": "application/json",
+      [SIGNATURE_HEADER]: sign(body),
+    },
+  };
+};
+
+// Verify a webhook and translate it into a payment event
+const parseWebhook = (rawBody, headers) => {
+  const signature = headers[SIGNATURE_HEADER];
+  const expected = sign(rawBody);
+
+  if (
+    !signature ||
+    signature.length !== expected.length ||
+    !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))
+  ) {
+    throw new Error("Invalid webhook signature");
+  }
+
+  const event = JSON.parse(rawBody.toString());
+  if (!EVENT_TYPES.includes(event.type)) {
+    return null;
+  }
+
+  return { eventId: event.id, type: event.type, intentId: event.intentId };
+};
+
+module.exports = {
+  name: "mock",
+  createIntent,
+  parseWebhook,
+  buildWebhook,
+};
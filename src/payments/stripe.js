@@ -0,0 +1,114 @@
+const crypto = require("crypto");
+
+// Stripe adapter using the REST API directly
+const API_URL = "https://api.stripe.com/v1";
+const SIGNATURE_TOLERANCE_SECONDS = 300;
+
+// Stripe event types mapped to our payment events
+const EVENT_TYPES = {
+  "payment_intent.succeeded": "succeeded",
+  "payment_intent.payment_failed": "failed",
+  "payment_intent.canceled": "cancelled",
+  "charge.refunded": "refunded",
+};
+
+const getConfig = () => {
+  if (!process.env.STRIPE_SECRET_KEY || !process.env.STRIPE_WEBHOOK_SECRET) {
+    throw new Error("STRIPE_SECRET_KEY and STRIPE_WEBHOOK_SECRET must be set");
+  }
+  return {
+    secretKey: process.env.STRIPE_SECRET_KEY,
+    webhookSecret: process.env.STRIPE_WEBHOOK_SECRET,
+  };
+};
+
+const createIntent = async ({ amount, currency, metadata = {} }) => {
+  const { secretKey } = getConfig();
+
+  const params = new URLSearchParams();
+  params.append("amount", String(Math.round(amount * 100))); // Stripe uses cents
+  params.append("currency", currency.toLowerCase());
+  params.append("automatic_payment_methods[enabled]", "true");
+  Object.entries(metadata).forEach(([key, value]) => {
+    params.append(`metadata[${key}]`, String(value));
+  });
+
+  const response = await fetch(`${API_URL}/payment_intents`, {
+    method: "POST",
+    headers: {
+      Authorization: `Bearer ${secretKey}`,
+      "Content-Type": "application/x-www-form-urlencoded",
+    },
+    body: params,
+  });
+
+  const intent = await response.json();
+  if (!response.ok) {
+    throw new Error(intent.error?.message || "Failed to create Stripe payment intent");
+  }
+
+  return {
+    intentId: intent.id,
+    clientSecret: intent.client_secret,
+    amount,
+    currency,
+  };
+};
+
+// Verify the Stripe-Signature header (t=timestamp,v1=signature)
+const verifySignature = (rawBody, header, secret) => {
+  const parts = Object.fromEntries(
+    (header || "").split(",").map((part) => part.split("="))
+  );
+  const timestamp = parseInt(parts.t);
+
+  if (!timestamp || !parts.v1) {
+    throw new Error("Invalid webhook signature");
+  }
+
+  if (Math.abs(Date.now() / 1000 - timestamp) > SIGNATURE_TOLERANCE_SECONDS) {
+    throw new Error("Webhook signature has expired");
+  }
+
+  const expected = crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${rawBody}`)
+    .digest("hex");
+
+  if (
+    parts.v1.length !== expected.length ||
+    !crypto.timingSafeEqual(Buffer.from(parts.v1), Buffer.from(expected))
+  ) {
+    throw new Error("Invalid webhook signature");
+  }
+};
+
+const parseWebhook = (rawBody, headers) => {
+  const { webhookSecret } = getConfig();
+  verifySignature(rawBody, headers["stripe-signature"], webhookSecret);
+
+  const event = JSON.parse(rawBody.toString());
+  const type = EVENT_TYPES[event.type];
+  if (!type) {
+    return null;
+  }
+
+  // Refund events carry a charge, which points back at its payment intent
+  const object = event.data.object;
+  const intentId = event.type === "charge.refunded" ? object.payment_intent : object.id;
+
+  // SAFETY CHECK: Stripe also sends charge.refunded for partial refunds.
+  // Only a full refund takes the purchase's coins back; partial ones are
+  // acknowledged and left for an admin to settle.
+  if (event.type === "charge.refunded" && object.amount_refunded !== object.amount) {
+    return null;
+  }
+
+  return { eventId: event.id, type, intentId };
+};
+
+module.exports = {
+  name: "stripe",
+  createIntent,
+  parseWebhook,
+};
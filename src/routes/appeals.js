@@ -0,0 +1,395 @@
+const express = require("express");
+const { ObjectId } = require("mongodb");
+const { getDb, withTransaction } = require("../config/db");
+const { protect, restrictTo } = require("../middleware/auth");
+const { EscrowExhaustedError } = require("../utils/escrow");
+const { SlotsFullError } = require("../utils/claims");
+const { SubmissionLimitError } = require("../utils/submissionLimits");
+const { notify } = require("../utils/notifications");
+const {
+  APPEAL_STATUSES,
+  APPEAL_DECISIONS,
+  AppealClosedError,
+  TaskClosedError,
+  getAppealWindowDays,
+  appealDeadline,
+  decideAppeal,
+  upholdAppeal,
+} = require("../utils/appeals");
+
+const router = express.Router();
+
+router.use(protect);
+
+// SECURITY FIX: Appeals are visible to the worker, the task's buyer and admins
+const canSeeAppeal = (appeal, user) =>
+  user.role === "Admin" ||
+  appeal.worker.toString() === user._id.toString() ||
+  appeal.buyer.toString() === user._id.toString();
+
+// Get appeals (own as worker or buyer, all for Admin)
+router.get("/", async (req, res) => {
+  try {
+    const { status, page = 1, limit = 10 } = req.query;
+    const db = getDb();
+    const query = {};
+
+    if (req.user.role === "Worker") {
+      query.worker = req.user._id;
+    } else if (req.user.role === "Buyer") {
+      query.buyer = req.user._id;
+    }
+
+    if (status) {
+      if (!APPEAL_STATUSES.includes(status)) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid status. Must be one of: " + APPEAL_STATUSES.join(", "),
+        });
+      }
+      query.status = status;
+    }
+
+    // Validate pagination params
+    const pageNum = Math.max(1, parseInt(page) || 1);
+    const limitNum = Math.min(100, Math.max(1, parseInt(limit) || 10));
+    const skip = (pageNum - 1) * limitNum;
+
+    const appeals = await db
+      .collection("appeals")
+      .find(query)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limitNum)
+      .toArray();
+
+    const total = await db.collection("appeals").countDocuments(query);
+
+    res.json({
+      success: true,
+      count: appeals.length,
+      total,
+      pages: Math.ceil(total / limitNum),
+      currentPage: pageNum,
+      appeals,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch appeals. Please try again.",
+    });
+  }
+});
+
+// Get single appeal with the submission it is about
+router.get("/:id", async (req, res) => {
+  try {
+    if (!ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid appeal ID format",
+      });
+    }
+
+    const db = getDb();
+    const appeal = await db.collection("appeals").findOne({ _id: new ObjectId(req.params.id) });
+
+    if (!appeal || !canSeeAppeal(appeal, req.user)) {
+      return res.status(404).json({
+        success: false,
+        message: "Appeal not found",
+      });
+    }
+
+    const submission = await db.collection("submissions").findOne({ _id: appeal.submission });
+
+    res.json({
+      success: true,
+      appeal: { ...appeal, submissionInfo: submission },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch appeal. Please try again.",
+    });
+  }
+});
+
+// Appeal a rejected submission (Worker - submission owner)
+router.post("/", restrictTo("Worker"), async (req, res) => {
+  try {
+    const { submissionId, justification } = req.body;
+
+    if (!submissionId || !ObjectId.isValid(submissionId)) {
+      return res.status(400).json({
+        success: false,
+        message: "A valid submission ID is required",
+      });
+    }
+
+    // VALIDATION FIX: Admins need a reason to overturn the buyer's decision
+    if (typeof justification !== "string" || justification.trim().length < 20 || justification.trim().length > 2000) {
+      return res.status(400).json({
+        success: false,
+        message: "Justification must be between 20 and 2000 characters",
+      });
+    }
+
+    const db = getDb();
+    const submission = await db.collection("submissions").findOne({
+      _id: new ObjectId(submissionId),
+      worker: req.user._id,
+    });
+
+    if (!submission) {
+      return res.status(404).json({
+        success: false,
+        message: "Submission not found",
+      });
+    }
+
+    if (submission.status !== "rejected") {
+      return res.status(400).json({
+        success: false,
+        message: "Only rejected submissions can be appealed",
+      });
+    }
+
+    if (appealDeadline(submission) < new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: `Rejections can only be appealed within ${getAppealWindowDays()} days`,
+      });
+    }
+
+    const task = await db.collection("tasks").findOne({ _id: submission.task });
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: "Associated task not found",
+      });
+    }
+
+    const newAppeal = {
+      submission: submission._id,
+      task: task._id,
+      worker: req.user._id,
+      buyer: task.buyer,
+      justification: justification.trim(),
+      buyerResponse: "",
+      status: "open",
+      adminNote: "",
+      decidedBy: null,
+      decidedAt: null,
+      createdAt: new Date(),
+    };
+
+    // SAFETY CHECK: The unique index on submission allows one appeal each
+    await withTransaction(async (session) => {
+      await db.collection("appeals").insertOne(newAppeal, { session });
+      await db.collection("submissions").updateOne(
+        { _id: submission._id },
+        { $set: { appealStatus: "open" } },
+        { session }
+      );
+      await notify(db, {
+        user: task.buyer,
+        type: "appeal_filed",
+        task: task._id,
+        submission: submission._id,
+        message: `A worker appealed your rejection of their submission to "${task.title}". You can respond before an admin decides.`,
+      }, session);
+    });
+
+    res.status(201).json({
+      success: true,
+      appeal: newAppeal,
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: "This submission has already been appealed",
+      });
+    }
+    console.error("Appeal creation error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to create appeal. Please try again.",
+    });
+  }
+});
+
+// Give the buyer's side of an open appeal (Buyer - task owner)
+router.patch("/:id/response", restrictTo("Buyer"), async (req, res) => {
+  try {
+    const { response } = req.body;
+
+    if (!ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid appeal ID format",
+      });
+    }
+
+    if (typeof response !== "string" || response.trim().length < 1 || response.trim().length > 2000) {
+      return res.status(400).json({
+        success: false,
+        message: "Response must be between 1 and 2000 characters",
+      });
+    }
+
+    const db = getDb();
+    const result = await db.collection("appeals").findOneAndUpdate(
+      { _id: new ObjectId(req.params.id), buyer: req.user._id, status: "open" },
+      { $set: { buyerResponse: response.trim(), respondedAt: new Date() } },
+      { returnDocument: "after" }
+    );
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        message: "Appeal not found or already decided",
+      });
+    }
+
+    res.json({
+      success: true,
+      appeal: result,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Failed to respond to appeal. Please try again.",
+    });
+  }
+});
+
+// Decide an appeal (Admin). Upholding pays the worker from the task's escrow.
+router.patch("/:id", restrictTo("Admin"), async (req, res) => {
+  try {
+    const { decision, note } = req.body;
+
+    if (!ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid appeal ID format",
+      });
+    }
+
+    if (!APPEAL_DECISIONS.includes(decision)) {
+      return res.status(400).json({
+        success: false,
+        message: "Decision must be 'upheld' or 'denied'",
+      });
+    }
+
+    if (note !== undefined && (typeof note !== "string" || note.length > 2000)) {
+      return res.status(400).json({
+        success: false,
+        message: "Note must be text of at most 2000 characters",
+      });
+    }
+
+    const db = getDb();
+    const appeal = await db.collection("appeals").findOne({ _id: new ObjectId(req.params.id) });
+
+    if (!appeal) {
+      return res.status(404).json({
+        success: false,
+        message: "Appeal not found",
+      });
+    }
+
+    if (appeal.status !== "open") {
+      return res.status(400).json({
+        success: false,
+        message: "This appeal has already been decided",
+      });
+    }
+
+    const submission = await db.collection("submissions").findOne({ _id: appeal.submission });
+    const task = await db.collection("tasks").findOne({ _id: appeal.task });
+
+    if (decision === "upheld" && (!submission || !task)) {
+      return res.status(400).json({
+        success: false,
+        message: "The submission or its task no longer exists, so the appeal can only be denied",
+      });
+    }
+
+    const title = task ? task.title : "a deleted task";
+    let updated;
+    try {
+      updated = await withTransaction(async (session) => {
+        const decided = decision === "upheld"
+          ? await upholdAppeal(db, session, { appeal, submission, task, actor: req.user._id, note })
+          : await decideAppeal(db, session, { appeal, decision, actor: req.user._id, note });
+
+        // Both sides hear the outcome
+        const outcome = decision === "upheld"
+          ? "upheld and the submission has been paid"
+          : "denied";
+        for (const user of [appeal.worker, appeal.buyer]) {
+          await notify(db, {
+            user,
+            type: "appeal_decided",
+            task: appeal.task,
+            submission: appeal.submission,
+            message: `The appeal on a submission to "${title}" was ${outcome}.`,
+          }, session);
+        }
+
+        return decided;
+      });
+    } catch (error) {
+      if (error instanceof AppealClosedError) {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+        });
+      }
+      if (error instanceof TaskClosedError) {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+        });
+      }
+      if (error instanceof EscrowExhaustedError) {
+        return res.status(400).json({
+          success: false,
+          message: "Task has no escrow left to pay this submission. The appeal can only be denied.",
+          escrow: error.available,
+          required: error.required,
+        });
+      }
+      if (error instanceof SlotsFullError) {
+        return res.status(400).json({
+          success: false,
+          message: "All slots on this task are already taken. The appeal can only be denied.",
+        });
+      }
+      if (error instanceof SubmissionLimitError) {
+        return res.status(400).json({
+          success: false,
+          message: "The worker has already used the submission this rejection gave back. The appeal can only be denied.",
+        });
+      }
+      throw error;
+    }
+
+    res.json({
+      success: true,
+      appeal: updated,
+    });
+  } catch (error) {
+    console.error("Appeal decision error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to decide appeal. Please try again.",
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,114 @@
+const express = require("express");
+const { ObjectId } = require("mongodb");
+const { getDb } = require("../config/db");
+const { protect } = require("../middleware/auth");
+const { getBucket } = require("../utils/attachments");
+const { getWorkerStats, checkEligibility } = require("../utils/eligibility");
+
+const router = express.Router();
+
+// SECURITY FIX: Task files are only for the buyer, admins and workers the
+// task is open to: eligible workers while it's active, and workers who hold
+// a claim on it or have submitted to it. Submission files are only for the
+// submitting worker, the task's buyer and admins.
+const canSeeTaskFiles = async (db, task, user) => {
+  if (user.role !== "Worker") {
+    return false;
+  }
+
+  const [claim, submission] = await Promise.all([
+    db.collection("claims").findOne({ task: task._id, worker: user._id, status: "active" }),
+    db.collection("submissions").findOne({ task: task._id, worker: user._id }, { projection: { _id: 1 } }),
+  ]);
+  if (claim || submission) {
+    return true;
+  }
+
+  return task.status === "active" && checkEligibility(task, await getWorkerStats(db, user)).eligible;
+};
+
+const canDownload = async (db, file, user) => {
+  if (user.role === "Admin") {
+    return true;
+  }
+
+  const { task: taskId, submission: submissionId } = file.metadata || {};
+  const task = taskId
+    ? await db.collection("tasks").findOne({ _id: taskId }, { projection: { buyer: 1, status: 1, eligibility: 1 } })
+    : null;
+  const isBuyer = task && task.buyer.toString() === user._id.toString();
+
+  if (!submissionId) {
+    return Boolean(task) && (isBuyer || (await canSeeTaskFiles(db, task, user)));
+  }
+
+  const submission = await db.collection("submissions").findOne(
+    { _id: submissionId },
+    { projection: { worker: 1 } }
+  );
+  if (!submission) {
+    return false;
+  }
+
+  return isBuyer || submission.worker.toString() === user._id.toString();
+};
+
+// Download an attached file
+router.get("/:id", protect, async (req, res) => {
+  try {
+    if (!ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid file ID format",
+      });
+    }
+
+    const db = getDb();
+    const bucket = getBucket(db);
+    const [file] = await bucket.find({ _id: new ObjectId(req.params.id) }).toArray();
+
+    if (!file) {
+      return res.status(404).json({
+        success: false,
+        message: "File not found",
+      });
+    }
+
+    if (!(await canDownload(db, file, req.user))) {
+      return res.status(403).json({
+        success: false,
+        message: "Not authorized to download this file.",
+      });
+    }
+
+    // SECURITY FIX: Always download rather than render uploaded content
+    res.attachment(file.filename);
+    res.set({
+      "Content-Type": file.metadata?.contentType || "application/octet-stream",
+      "Content-Length": file.length,
+      "X-Content-Type-Options": "nosniff",
+    });
+
+    bucket
+      .openDownloadStream(file._id)
+      .on("error", (error) => {
+        console.error("Attachment download error:", error);
+        if (!res.headersSent) {
+          res.status(500).json({
+            success: false,
+            message: "Failed to download file. Please try again.",
+          });
+        } else {
+          res.destroy(error);
+        }
+      })
+      .pipe(res);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Failed to download file. Please try again.",
+    });
+  }
+});
+
+module.exports = router;
@@ -1,7 +1,8 @@
 const express = require("express");
 const bcrypt = require("bcryptjs");
-const { getDb } = require("../config/db");
+const { getDb, withTransaction } = require("../config/db");
 const { generateToken, protect } = require("../middleware/auth");
+const { recordOpeningBalance } = require("../utils/ledger");
 
 const router = express.Router();
 
@@ -90,11 +91,17 @@ router.post("/register", async (req, res) => {
       image: image ? image.trim() : "",
       role,
       coin,
+      heldCoin: 0,
+      signupBonus: coin,
       provider: "credentials",
       createdAt: new Date(),
     };
 
-    const result = await db.collection("users").insertOne(newUser);
+    const result = await withTransaction(async (session) => {
+      const inserted = await db.collection("users").insertOne(newUser, { session });
+      await recordOpeningBalance(db, session, { userId: inserted.insertedId, amount: coin });
+      return inserted;
+    });
     const token = generateToken(result.insertedId.toString());
 
     res.status(201).json({
@@ -221,11 +228,17 @@ router.post("/google", async (req, res) => {
         image,
         role: "Worker",
         coin: 10,
+        heldCoin: 0,
+        signupBonus: 10,
         provider: "google",
         createdAt: new Date(),
       };
 
-      const result = await db.collection("users").insertOne(newUser);
+      const result = await withTransaction(async (session) => {
+        const inserted = await db.collection("users").insertOne(newUser, { session });
+        await recordOpeningBalance(db, session, { userId: inserted.insertedId, amount: newUser.coin });
+        return inserted;
+      });
       user = { ...newUser, _id: result.insertedId };
     }
 
@@ -262,6 +275,7 @@ router.get("/me", protect, async (req, res) => {
       image: req.user.image,
       role: req.user.role,
       coin: req.user.coin,
+      heldCoin: req.user.heldCoin || 0,
       createdAt: req.user.createdAt,
     },
   });
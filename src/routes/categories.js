@@ -0,0 +1,345 @@
+const express = require("express");
+const { ObjectId } = require("mongodb");
+const { getDb } = require("../config/db");
+const { protect, restrictTo } = require("../middleware/auth");
+const { slugify } = require("../utils/categories");
+
+const router = express.Router();
+
+// Build a parent/child tree with live task counts. A parent's total
+// includes the tasks in its children.
+const buildCategoryTree = async (db, query) => {
+  const categories = await db
+    .collection("categories")
+    .find(query)
+    .sort({ name: 1 })
+    .toArray();
+
+  const counts = await db.collection("tasks").aggregate([
+    { $match: { status: "active", category: { $in: categories.map((c) => c.slug) } } },
+    { $group: { _id: "$category", count: { $sum: 1 } } }
+  ]).toArray();
+  const countBySlug = new Map(counts.map((c) => [c._id, c.count]));
+
+  const nodes = categories.map((category) => ({
+    ...category,
+    taskCount: countBySlug.get(category.slug) || 0,
+    children: [],
+  }));
+  const byId = new Map(nodes.map((node) => [node._id.toString(), node]));
+
+  const roots = [];
+  nodes.forEach((node) => {
+    const parent = node.parent && byId.get(node.parent.toString());
+    if (parent) {
+      parent.children.push(node);
+    } else {
+      roots.push(node);
+    }
+  });
+
+  roots.forEach((root) => {
+    root.totalTaskCount = root.taskCount +
+      root.children.reduce((sum, child) => sum + child.taskCount, 0);
+    root.children.forEach((child) => {
+      child.totalTaskCount = child.taskCount;
+    });
+  });
+
+  return roots;
+};
+
+// VALIDATION FIX: Validate a category parent. Categories nest one level deep,
+// so a parent must itself be top-level. Returns { parent } or { error }.
+const resolveParent = async (db, parentId, categoryId) => {
+  if (parentId === null || parentId === undefined || parentId === "") {
+    return { parent: null };
+  }
+
+  if (!ObjectId.isValid(parentId)) {
+    return { error: "Invalid parent category ID format" };
+  }
+
+  if (categoryId && parentId === categoryId.toString()) {
+    return { error: "A category cannot be its own parent" };
+  }
+
+  const parent = await db.collection("categories").findOne({ _id: new ObjectId(parentId) });
+  if (!parent) {
+    return { error: "Parent category not found" };
+  }
+  if (parent.parent) {
+    return { error: "Categories can only be nested one level deep" };
+  }
+
+  return { parent: parent._id };
+};
+
+// Get active categories with live task counts
+router.get("/", async (req, res) => {
+  try {
+    const db = getDb();
+    const categories = await buildCategoryTree(db, { active: true });
+
+    res.json({
+      success: true,
+      categories,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch categories. Please try again.",
+    });
+  }
+});
+
+// Get all categories including inactive ones (Admin only)
+router.get("/all", protect, restrictTo("Admin"), async (req, res) => {
+  try {
+    const db = getDb();
+    const categories = await buildCategoryTree(db, {});
+
+    res.json({
+      success: true,
+      categories,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch categories. Please try again.",
+    });
+  }
+});
+
+// Create category (Admin only)
+router.post("/", protect, restrictTo("Admin"), async (req, res) => {
+  try {
+    const { name, slug, parent, icon, active } = req.body;
+
+    if (!name || typeof name !== "string" || name.trim().length < 2 || name.trim().length > 50) {
+      return res.status(400).json({
+        success: false,
+        message: "Name must be between 2 and 50 characters",
+      });
+    }
+
+    const cleanSlug = slugify(slug || name);
+    if (cleanSlug.length < 2) {
+      return res.status(400).json({
+        success: false,
+        message: "Slug must contain at least 2 letters or numbers",
+      });
+    }
+
+    const db = getDb();
+    const { parent: parentId, error } = await resolveParent(db, parent, null);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error,
+      });
+    }
+
+    const newCategory = {
+      name: name.trim(),
+      slug: cleanSlug,
+      parent: parentId,
+      icon: typeof icon === "string" ? icon.trim() : "",
+      active: active !== false,
+      createdAt: new Date(),
+      updatedAt: new Date(),
+    };
+
+    await db.collection("categories").insertOne(newCategory);
+
+    res.status(201).json({
+      success: true,
+      category: newCategory,
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: "A category with this slug already exists",
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: "Failed to create category. Please try again.",
+    });
+  }
+});
+
+// Update category (Admin only)
+router.patch("/:id", protect, restrictTo("Admin"), async (req, res) => {
+  try {
+    if (!ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid category ID format",
+      });
+    }
+
+    const db = getDb();
+    const category = await db.collection("categories").findOne({
+      _id: new ObjectId(req.params.id)
+    });
+
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        message: "Category not found",
+      });
+    }
+
+    const { name, slug, parent, icon, active } = req.body;
+    const updates = {};
+
+    if (name !== undefined) {
+      if (typeof name !== "string" || name.trim().length < 2 || name.trim().length > 50) {
+        return res.status(400).json({
+          success: false,
+          message: "Name must be between 2 and 50 characters",
+        });
+      }
+      updates.name = name.trim();
+    }
+
+    if (slug !== undefined) {
+      updates.slug = slugify(slug);
+      if (updates.slug.length < 2) {
+        return res.status(400).json({
+          success: false,
+          message: "Slug must contain at least 2 letters or numbers",
+        });
+      }
+    }
+
+    if (parent !== undefined) {
+      const { parent: parentId, error } = await resolveParent(db, parent, category._id);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: error,
+        });
+      }
+
+      if (parentId) {
+        const childCount = await db.collection("categories").countDocuments({ parent: category._id });
+        if (childCount > 0) {
+          return res.status(400).json({
+            success: false,
+            message: "A category with subcategories cannot be moved under another category",
+          });
+        }
+      }
+      updates.parent = parentId;
+    }
+
+    if (icon !== undefined) updates.icon = typeof icon === "string" ? icon.trim() : "";
+
+    if (active !== undefined) {
+      if (typeof active !== "boolean") {
+        return res.status(400).json({
+          success: false,
+          message: "Active must be true or false",
+        });
+      }
+      updates.active = active;
+    }
+
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "No valid fields to update. Allowed fields: name, slug, parent, icon, active",
+      });
+    }
+
+    updates.updatedAt = new Date();
+
+    const result = await db.collection("categories").findOneAndUpdate(
+      { _id: category._id },
+      { $set: updates },
+      { returnDocument: "after" }
+    );
+
+    // Tasks and task templates refer to categories by slug, so carry a
+    // rename over to them
+    if (updates.slug && updates.slug !== category.slug) {
+      await db.collection("tasks").updateMany(
+        { category: category.slug },
+        { $set: { category: updates.slug } }
+      );
+      await db.collection("task_templates").updateMany(
+        { "task.category": category.slug },
+        { $set: { "task.category": updates.slug } }
+      );
+    }
+
+    res.json({
+      success: true,
+      category: result,
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: "A category with this slug already exists",
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: "Failed to update category. Please try again.",
+    });
+  }
+});
+
+// Delete category (Admin only) - categories in use should be deactivated instead
+router.delete("/:id", protect, restrictTo("Admin"), async (req, res) => {
+  try {
+    if (!ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid category ID format",
+      });
+    }
+
+    const db = getDb();
+    const category = await db.collection("categories").findOne({
+      _id: new ObjectId(req.params.id)
+    });
+
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        message: "Category not found",
+      });
+    }
+
+    const childCount = await db.collection("categories").countDocuments({ parent: category._id });
+    const taskCount = await db.collection("tasks").countDocuments({ category: category.slug });
+
+    if (childCount > 0 || taskCount > 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Category has subcategories or tasks. Deactivate it instead.",
+        childCount,
+        taskCount,
+      });
+    }
+
+    await db.collection("categories").deleteOne({ _id: category._id });
+
+    res.json({
+      success: true,
+      message: "Category deleted successfully",
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Failed to delete category. Please try again.",
+    });
+  }
+});
+
+module.exports = router;
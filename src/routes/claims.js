@@ -0,0 +1,268 @@
+const express = require("express");
+const { ObjectId } = require("mongodb");
+const { getDb, withTransaction } = require("../config/db");
+const { protect, restrictTo } = require("../middleware/auth");
+const { CLAIM_STATUSES, SlotsFullError, parseHoldMinutes, reserveSlot, endClaim } = require("../utils/claims");
+const { getWorkerStats, checkEligibility } = require("../utils/eligibility");
+const { submissionLimitMessage, getRemainingSubmissions } = require("../utils/submissionLimits");
+
+const router = express.Router();
+
+// Claims are held by workers
+router.use(protect, restrictTo("Worker"));
+
+// Expire this task's claims that ran out of time but haven't been swept yet
+const sweepStaleClaims = async (db, taskId) => {
+  const stale = await db
+    .collection("claims")
+    .find({ task: taskId, status: "active", expiresAt: { $lte: new Date() } })
+    .toArray();
+
+  for (const claim of stale) {
+    await withTransaction((session) => endClaim(db, session, { claim, status: "expired" }));
+  }
+  return stale.length;
+};
+
+// Get own claims
+router.get("/", async (req, res) => {
+  try {
+    const { status = "active" } = req.query;
+
+    if (!CLAIM_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: "Status must be one of: " + CLAIM_STATUSES.join(", "),
+      });
+    }
+
+    const db = getDb();
+    const claims = await db.collection("claims").aggregate([
+      { $match: { worker: req.user._id, status } },
+      { $sort: { createdAt: -1 } },
+      { $limit: 100 },
+      {
+        $lookup: {
+          from: "tasks",
+          localField: "task",
+          foreignField: "_id",
+          as: "taskInfo"
+        }
+      },
+      {
+        $addFields: {
+          task: {
+            $let: {
+              vars: { taskData: { $arrayElemAt: ["$taskInfo", 0] } },
+              in: {
+                _id: "$$taskData._id",
+                title: "$$taskData.title",
+                reward: "$$taskData.reward",
+                deadline: "$$taskData.deadline"
+              }
+            }
+          }
+        }
+      },
+      { $project: { taskInfo: 0 } }
+    ]).toArray();
+
+    res.json({
+      success: true,
+      count: claims.length,
+      claims,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch claims. Please try again.",
+    });
+  }
+});
+
+// Claim a slot on a task before working on it
+router.post("/", async (req, res) => {
+  try {
+    const { taskId } = req.body;
+
+    if (!taskId || !ObjectId.isValid(taskId)) {
+      return res.status(400).json({
+        success: false,
+        message: "A valid task ID is required",
+      });
+    }
+
+    const db = getDb();
+    const task = await db.collection("tasks").findOne({ _id: new ObjectId(taskId) });
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: "Task not found",
+      });
+    }
+
+    if (task.status !== "active") {
+      return res.status(400).json({
+        success: false,
+        message: "Task is not active",
+      });
+    }
+
+    if (task.deadline && new Date(task.deadline) < new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: "Task deadline has passed",
+      });
+    }
+
+    // SAFETY CHECK: Enforce the buyer's worker eligibility rules
+    if (task.eligibility) {
+      const { eligible, reasons } = checkEligibility(task, await getWorkerStats(db, req.user));
+      if (!eligible) {
+        return res.status(403).json({
+          success: false,
+          message: "You are not eligible for this task: " + reasons.join("; "),
+          reasons,
+        });
+      }
+    }
+
+    // No point holding a slot the worker couldn't submit to
+    if ((await getRemainingSubmissions(db, { task, workerId: req.user._id })) === 0) {
+      return res.status(400).json({
+        success: false,
+        message: submissionLimitMessage(task),
+      });
+    }
+
+    // A claim that ran out of time no longer counts, even before it's swept
+    const existingClaim = await db.collection("claims").findOne({
+      task: task._id,
+      worker: req.user._id,
+      status: "active",
+    });
+
+    if (existingClaim && existingClaim.expiresAt > new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: "You already hold a slot on this task",
+        claim: existingClaim,
+      });
+    }
+
+    const holdMinutes = parseHoldMinutes(task.claimHoldMinutes).minutes;
+    const now = new Date();
+    let expiresAt = new Date(now.getTime() + holdMinutes * 60 * 1000);
+    if (task.deadline && task.deadline < expiresAt) {
+      expiresAt = task.deadline;
+    }
+
+    const newClaim = {
+      task: task._id,
+      worker: req.user._id,
+      status: "active",
+      expiresAt,
+      submission: null,
+      createdAt: now,
+      endedAt: null,
+    };
+
+    const claimSlot = () =>
+      withTransaction(async (session) => {
+        if (!(await reserveSlot(db, session, task._id))) {
+          throw new SlotsFullError();
+        }
+        await db.collection("claims").insertOne(newClaim, { session });
+      });
+
+    try {
+      if (existingClaim) {
+        await withTransaction((session) => endClaim(db, session, { claim: existingClaim, status: "expired" }));
+      }
+
+      try {
+        await claimSlot();
+      } catch (error) {
+        // Slots may only look taken because of claims that ran out; free them and retry once
+        if (!(error instanceof SlotsFullError) || (await sweepStaleClaims(db, task._id)) === 0) {
+          throw error;
+        }
+        await claimSlot();
+      }
+    } catch (error) {
+      if (error instanceof SlotsFullError) {
+        return res.status(400).json({
+          success: false,
+          message: "All slots on this task are currently taken",
+        });
+      }
+      if (error.code === 11000) {
+        return res.status(400).json({
+          success: false,
+          message: "You already hold a slot on this task",
+        });
+      }
+      throw error;
+    }
+
+    res.status(201).json({
+      success: true,
+      claim: newClaim,
+    });
+  } catch (error) {
+    console.error("Claim error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to claim task slot. Please try again.",
+    });
+  }
+});
+
+// Release a claimed slot without submitting
+router.delete("/:id", async (req, res) => {
+  try {
+    if (!ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid claim ID format",
+      });
+    }
+
+    const db = getDb();
+    const claim = await db.collection("claims").findOne({
+      _id: new ObjectId(req.params.id),
+      worker: req.user._id,
+    });
+
+    if (!claim) {
+      return res.status(404).json({
+        success: false,
+        message: "Claim not found",
+      });
+    }
+
+    const released = await withTransaction((session) =>
+      endClaim(db, session, { claim, status: "released" })
+    );
+
+    if (!released) {
+      return res.status(400).json({
+        success: false,
+        message: "Claim is no longer active",
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Slot released successfully",
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Failed to release claim. Please try again.",
+    });
+  }
+});
+
+module.exports = router;
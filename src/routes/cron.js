@@ -0,0 +1,119 @@
+const express = require("express");
+const { protectCron } = require("../middleware/auth");
+const { runBalanceReconciliation } = require("../jobs/reconcileBalances");
+const { runTaskExpiry } = require("../jobs/expireTasks");
+const { runClaimExpiry } = require("../jobs/expireClaims");
+const { runAutoApproval } = require("../jobs/autoApprove");
+
+const router = express.Router();
+
+// Scheduled jobs are triggered by the platform scheduler (see vercel.json)
+router.use(protectCron);
+
+// Reconcile stored coin balances against source records
+router.get("/reconcile-balances", async (req, res) => {
+  try {
+    const report = await runBalanceReconciliation();
+
+    if (!report) {
+      return res.json({
+        success: true,
+        skipped: true,
+        message: "Reconciliation is already running",
+      });
+    }
+
+    res.json({
+      success: true,
+      checkedUsers: report.checkedUsers,
+      driftedUsers: report.driftedUsers,
+      totalDrift: report.totalDrift,
+    });
+  } catch (error) {
+    console.error("Balance reconciliation error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Balance reconciliation failed",
+    });
+  }
+});
+
+// Expire overdue tasks and refund their unfilled slots
+router.get("/expire-tasks", async (req, res) => {
+  try {
+    const summary = await runTaskExpiry();
+
+    if (!summary) {
+      return res.json({
+        success: true,
+        skipped: true,
+        message: "Task expiry is already running",
+      });
+    }
+
+    res.json({
+      success: true,
+      ...summary,
+    });
+  } catch (error) {
+    console.error("Task expiry error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Task expiry failed",
+    });
+  }
+});
+
+// Release task slots held by claims that ran out of time
+router.get("/expire-claims", async (req, res) => {
+  try {
+    const summary = await runClaimExpiry();
+
+    if (!summary) {
+      return res.json({
+        success: true,
+        skipped: true,
+        message: "Claim expiry is already running",
+      });
+    }
+
+    res.json({
+      success: true,
+      ...summary,
+    });
+  } catch (error) {
+    console.error("Claim expiry error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Claim expiry failed",
+    });
+  }
+});
+
+// Warn buyers about unreviewed submissions and approve the overdue ones
+router.get("/auto-approve", async (req, res) => {
+  try {
+    const summary = await runAutoApproval();
+
+    if (!summary) {
+      return res.json({
+        success: true,
+        skipped: true,
+        message: "Auto-approval is already running",
+      });
+    }
+
+    res.json({
+      success: true,
+      ...summary,
+    });
+  } catch (error) {
+    console.error("Auto-approval error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Auto-approval failed",
+    });
+  }
+});
+
+module.exports = router;
@@ -6,6 +6,15 @@ const submissionRoutes = require("./submissions");
 const withdrawalRoutes = require("./withdrawals");
 const reportRoutes = require("./reports");
 const paymentRoutes = require("./payments");
+const ledgerRoutes = require("./ledger");
+const cronRoutes = require("./cron");
+const promoCodeRoutes = require("./promoCodes");
+const categoryRoutes = require("./categories");
+const claimRoutes = require("./claims");
+const taskTemplateRoutes = require("./taskTemplates");
+const notificationRoutes = require("./notifications");
+const appealRoutes = require("./appeals");
+const attachmentRoutes = require("./attachments");
 
 const router = express.Router();
 
@@ -16,5 +25,14 @@ router.use("/submissions", submissionRoutes);
 router.use("/withdrawals", withdrawalRoutes);
 router.use("/reports", reportRoutes);
 router.use("/payments", paymentRoutes);
+router.use("/ledger", ledgerRoutes);
+router.use("/cron", cronRoutes);
+router.use("/promo-codes", promoCodeRoutes);
+router.use("/categories", categoryRoutes);
+router.use("/claims", claimRoutes);
+router.use("/task-templates", taskTemplateRoutes);
+router.use("/notifications", notificationRoutes);
+router.use("/appeals", appealRoutes);
+router.use("/attachments", attachmentRoutes);
 
 module.exports = router;
\ No newline at end of file
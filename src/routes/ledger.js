@@ -0,0 +1,92 @@
+const express = require("express");
+const { ObjectId } = require("mongodb");
+const { getDb } = require("../config/db");
+const { protect } = require("../middleware/auth");
+const { LEDGER_REASONS } = require("../utils/ledger");
+
+const router = express.Router();
+
+// Get ledger entries (own entries, or any user's for admins)
+router.get("/", protect, async (req, res) => {
+  try {
+    const { user, reason, page = 1, limit = 20 } = req.query;
+    const db = getDb();
+    const query = {};
+
+    // Validate pagination params
+    const pageNum = Math.max(1, parseInt(page) || 1);
+    const limitNum = Math.min(100, Math.max(1, parseInt(limit) || 20));
+    const skip = (pageNum - 1) * limitNum;
+
+    // SAFETY CHECK: Non-admins only see their own ledger
+    if (req.user.role !== "Admin") {
+      query.user = req.user._id;
+    } else if (user) {
+      if (!ObjectId.isValid(user)) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid user ID format",
+        });
+      }
+      query.user = new ObjectId(user);
+    }
+
+    if (reason) {
+      if (!LEDGER_REASONS.includes(reason)) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid reason. Must be one of: " + LEDGER_REASONS.join(", "),
+        });
+      }
+      query.reason = reason;
+    }
+
+    const entries = await db.collection("ledger").aggregate([
+      { $match: query },
+      { $sort: { createdAt: -1, _id: -1 } },
+      { $skip: skip },
+      { $limit: limitNum },
+      {
+        $lookup: {
+          from: "users",
+          localField: "user",
+          foreignField: "_id",
+          as: "userInfo"
+        }
+      },
+      {
+        $addFields: {
+          user: {
+            $let: {
+              vars: { userData: { $arrayElemAt: ["$userInfo", 0] } },
+              in: {
+                _id: "$$userData._id",
+                name: "$$userData.name",
+                email: "$$userData.email"
+              }
+            }
+          }
+        }
+      },
+      { $project: { userInfo: 0 } }
+    ]).toArray();
+
+    const total = await db.collection("ledger").countDocuments(query);
+
+    res.json({
+      success: true,
+      count: entries.length,
+      total,
+      pages: Math.ceil(total / limitNum),
+      currentPage: pageNum,
+      entries,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch ledger. Please try again.",
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,112 @@
+const express = require("express");
+const { ObjectId } = require("mongodb");
+const { getDb } = require("../config/db");
+const { protect } = require("../middleware/auth");
+
+const router = express.Router();
+
+router.use(protect);
+
+// Get own notifications
+router.get("/", async (req, res) => {
+  try {
+    const { unread, page = 1, limit = 20 } = req.query;
+    const db = getDb();
+
+    // Validate pagination params
+    const pageNum = Math.max(1, parseInt(page) || 1);
+    const limitNum = Math.min(100, Math.max(1, parseInt(limit) || 20));
+    const skip = (pageNum - 1) * limitNum;
+
+    const query = { user: req.user._id };
+    if (unread === "true") query.read = false;
+
+    const notifications = await db
+      .collection("notifications")
+      .find(query)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limitNum)
+      .toArray();
+
+    const total = await db.collection("notifications").countDocuments(query);
+    const unreadCount = await db.collection("notifications").countDocuments({
+      user: req.user._id,
+      read: false,
+    });
+
+    res.json({
+      success: true,
+      count: notifications.length,
+      total,
+      unreadCount,
+      pages: Math.ceil(total / limitNum),
+      currentPage: pageNum,
+      notifications,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch notifications. Please try again.",
+    });
+  }
+});
+
+// Mark all own notifications as read
+router.patch("/read-all", async (req, res) => {
+  try {
+    const db = getDb();
+    const result = await db.collection("notifications").updateMany(
+      { user: req.user._id, read: false },
+      { $set: { read: true } }
+    );
+
+    res.json({
+      success: true,
+      updated: result.modifiedCount,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Failed to update notifications. Please try again.",
+    });
+  }
+});
+
+// Mark a notification as read
+router.patch("/:id/read", async (req, res) => {
+  try {
+    if (!ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid notification ID format",
+      });
+    }
+
+    const db = getDb();
+    const result = await db.collection("notifications").findOneAndUpdate(
+      { _id: new ObjectId(req.params.id), user: req.user._id },
+      { $set: { read: true } },
+      { returnDocument: "after" }
+    );
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        message: "Notification not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      notification: result,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Failed to update notification. Please try again.",
+    });
+  }
+});
+
+module.exports = router;
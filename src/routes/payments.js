@@ -1,24 +1,418 @@
 const express = require("express");
 const { ObjectId } = require("mongodb");
-const { getDb } = require("../config/db");
+const { getDb, withTransaction } = require("../config/db");
 const { protect, restrictTo } = require("../middleware/auth");
+const { idempotent } = require("../middleware/idempotency");
+const { adjustCoins } = require("../utils/ledger");
+const {
+  VersionConflictError,
+  formatPackage,
+  getCurrentPackages,
+  getCurrentPackage,
+  createVersion,
+} = require("../utils/pricing");
+const { getActiveProvider, getProvider, mockPaymentsEnabled } = require("../payments");
+const mockProvider = require("../payments/mock");
+const {
+  PromoCodeError,
+  checkPromoCode,
+  claimPromoCode,
+  releasePromoCode,
+} = require("../utils/promoCodes");
 
 const router = express.Router();
 
-// Coin packages - immutable pricing
-const COIN_PACKAGES = [
-  { id: "pkg_10", coins: 10, price: 1 },
-  { id: "pkg_150", coins: 150, price: 10 },
-  { id: "pkg_500", coins: 500, price: 20 },
-  { id: "pkg_1000", coins: 1000, price: 35 },
-];
+// Payment status each provider event moves a payment from and to
+const PAYMENT_TRANSITIONS = {
+  succeeded: { from: "pending", to: "completed" },
+  failed: { from: "pending", to: "failed" },
+  cancelled: { from: "pending", to: "cancelled" },
+  refunded: { from: "completed", to: "refunded" },
+};
 
-// Get available packages
-router.get("/packages", (req, res) => {
-  res.json({
-    success: true,
-    packages: COIN_PACKAGES,
+// Apply a verified provider event to its payment. Returns null when the
+// payment is unknown or the event was already applied.
+const applyPaymentEvent = (db, providerName, event) => {
+  const transition = PAYMENT_TRANSITIONS[event.type];
+
+  return withTransaction(async (session) => {
+    const payment = await db.collection("payments").findOneAndUpdate(
+      { provider: providerName, intentId: event.intentId, status: transition.from },
+      {
+        $set: { status: transition.to, [`${transition.to}At`]: new Date() },
+        $push: { events: { eventId: event.eventId, type: event.type, receivedAt: new Date() } },
+      },
+      { session, returnDocument: "after" }
+    );
+
+    if (!payment) {
+      return null;
+    }
+
+    if (event.type === "succeeded") {
+      // Coins can only increase from purchases, no negative check needed
+      await adjustCoins(db, session, {
+        userId: payment.user,
+        delta: payment.coins,
+        reason: "coin_purchase",
+        payment: payment._id,
+      });
+    }
+
+    // Payments that never went through give their promo code use back
+    if (event.type === "failed" || event.type === "cancelled") {
+      await releasePromoCode(db, payment, session);
+    }
+
+    if (event.type === "refunded") {
+      // Reclaim what is still available; coins already spent stay spent
+      const user = await db.collection("users").findOne(
+        { _id: payment.user },
+        { session, projection: { coin: 1 } }
+      );
+      const coinsReclaimed = Math.min(payment.coins, user?.coin || 0);
+
+      if (coinsReclaimed > 0) {
+        await adjustCoins(db, session, {
+          userId: payment.user,
+          delta: -coinsReclaimed,
+          reason: "coin_refund",
+          payment: payment._id,
+        });
+      }
+
+      await db.collection("payments").updateOne(
+        { _id: payment._id },
+        { $set: { coinsReclaimed } },
+        { session }
+      );
+      payment.coinsReclaimed = coinsReclaimed;
+    }
+
+    return payment;
   });
+};
+
+// VALIDATION FIX: Validate package coins and price
+const validatePackageFields = ({ coins, price }) => {
+  if (coins !== undefined) {
+    const coinsNum = parseInt(coins);
+    if (isNaN(coinsNum) || coinsNum <= 0 || coinsNum > 100000) {
+      return "Coins must be a positive number up to 100,000";
+    }
+  }
+
+  if (price !== undefined) {
+    const priceNum = Number(price);
+    if (isNaN(priceNum) || priceNum <= 0 || priceNum > 10000) {
+      return "Price must be a positive amount up to 10,000";
+    }
+  }
+
+  return null;
+};
+
+// Get available packages
+router.get("/packages", async (req, res) => {
+  try {
+    const db = getDb();
+    const packages = await getCurrentPackages(db);
+
+    res.json({
+      success: true,
+      packages: packages.map(formatPackage),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch packages. Please try again.",
+    });
+  }
+});
+
+// Get all packages including retired ones (Admin only)
+router.get("/packages/all", protect, restrictTo("Admin"), async (req, res) => {
+  try {
+    const db = getDb();
+    const packages = await getCurrentPackages(db, { includeRetired: true });
+
+    res.json({
+      success: true,
+      packages: packages.map(formatPackage),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch packages. Please try again.",
+    });
+  }
+});
+
+// Get every version of a package (Admin only)
+router.get("/packages/:id/history", protect, restrictTo("Admin"), async (req, res) => {
+  try {
+    const db = getDb();
+    const versions = await db
+      .collection("coin_packages")
+      .find({ packageId: req.params.id })
+      .sort({ version: -1 })
+      .toArray();
+
+    if (versions.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: "Package not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      versions,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch package history. Please try again.",
+    });
+  }
+});
+
+// Create package (Admin only)
+router.post("/packages", protect, restrictTo("Admin"), async (req, res) => {
+  try {
+    const { id, coins, price, sortOrder } = req.body;
+
+    if (!id || coins === undefined || price === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: "Package ID, coins, and price are required",
+      });
+    }
+
+    if (typeof id !== "string" || !/^[a-z0-9_]{3,40}$/.test(id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Package ID must be 3-40 lowercase letters, numbers, or underscores",
+      });
+    }
+
+    const validationError = validatePackageFields({ coins, price });
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError,
+      });
+    }
+
+    const db = getDb();
+
+    const existing = await db.collection("coin_packages").findOne({ packageId: id });
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        message: "A package with this ID already exists",
+      });
+    }
+
+    // New packages go to the end of the list unless an order is given
+    let order = parseInt(sortOrder);
+    if (isNaN(order)) {
+      const last = await db
+        .collection("coin_packages")
+        .find({ supersededAt: null })
+        .sort({ sortOrder: -1 })
+        .limit(1)
+        .toArray();
+      order = last.length > 0 ? last[0].sortOrder + 1 : 0;
+    }
+
+    const newPackage = {
+      packageId: id,
+      coins: parseInt(coins),
+      price: Number(price),
+      currency: "USD",
+      sortOrder: order,
+      active: true,
+      version: 1,
+      createdBy: req.user._id,
+      createdAt: new Date(),
+      supersededAt: null,
+    };
+
+    await db.collection("coin_packages").insertOne(newPackage);
+
+    res.status(201).json({
+      success: true,
+      package: formatPackage(newPackage),
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: "A package with this ID already exists",
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: "Failed to create package. Please try again.",
+    });
+  }
+});
+
+// Reorder packages (Admin only)
+router.put("/packages/order", protect, restrictTo("Admin"), async (req, res) => {
+  try {
+    const { order } = req.body;
+
+    if (!Array.isArray(order) || order.length === 0 || !order.every((id) => typeof id === "string")) {
+      return res.status(400).json({
+        success: false,
+        message: "Order must be a non-empty array of package IDs",
+      });
+    }
+
+    const db = getDb();
+    const current = await getCurrentPackages(db, { includeRetired: true });
+    const knownIds = current.map((pkg) => pkg.packageId);
+    const unknown = order.filter((id) => !knownIds.includes(id));
+
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Unknown package IDs: " + unknown.join(", "),
+      });
+    }
+
+    // Display order only, so it is updated in place rather than versioned
+    await db.collection("coin_packages").bulkWrite(
+      order.map((packageId, index) => ({
+        updateOne: {
+          filter: { packageId, supersededAt: null },
+          update: { $set: { sortOrder: index } },
+        },
+      }))
+    );
+
+    const packages = await getCurrentPackages(db, { includeRetired: true });
+
+    res.json({
+      success: true,
+      packages: packages.map(formatPackage),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Failed to reorder packages. Please try again.",
+    });
+  }
+});
+
+// Update package price, coins, or availability (Admin only)
+router.patch("/packages/:id", protect, restrictTo("Admin"), async (req, res) => {
+  try {
+    const { coins, price, active } = req.body;
+
+    if (coins === undefined && price === undefined && active === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: "No valid fields to update. Allowed fields: coins, price, active",
+      });
+    }
+
+    if (active !== undefined && typeof active !== "boolean") {
+      return res.status(400).json({
+        success: false,
+        message: "Active must be true or false",
+      });
+    }
+
+    const validationError = validatePackageFields({ coins, price });
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError,
+      });
+    }
+
+    const db = getDb();
+    const current = await getCurrentPackage(db, req.params.id);
+
+    if (!current) {
+      return res.status(404).json({
+        success: false,
+        message: "Package not found",
+      });
+    }
+
+    const changes = {};
+    if (coins !== undefined) changes.coins = parseInt(coins);
+    if (price !== undefined) changes.price = Number(price);
+    if (active !== undefined) changes.active = active;
+
+    // Each change is a new version so past payments keep the price they paid
+    const updated = await withTransaction((session) =>
+      createVersion(db, session, "coin_packages", current, changes, req.user._id)
+    );
+
+    res.json({
+      success: true,
+      package: formatPackage(updated),
+    });
+  } catch (error) {
+    if (error instanceof VersionConflictError) {
+      return res.status(409).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: "Failed to update package. Please try again.",
+    });
+  }
+});
+
+// Retire package (Admin only)
+router.delete("/packages/:id", protect, restrictTo("Admin"), async (req, res) => {
+  try {
+    const db = getDb();
+    const current = await getCurrentPackage(db, req.params.id);
+
+    if (!current) {
+      return res.status(404).json({
+        success: false,
+        message: "Package not found",
+      });
+    }
+
+    if (!current.active) {
+      return res.status(400).json({
+        success: false,
+        message: "Package is already retired",
+      });
+    }
+
+    const updated = await withTransaction((session) =>
+      createVersion(db, session, "coin_packages", current, { active: false }, req.user._id)
+    );
+
+    res.json({
+      success: true,
+      message: "Package retired successfully",
+      package: formatPackage(updated),
+    });
+  } catch (error) {
+    if (error instanceof VersionConflictError) {
+      return res.status(409).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: "Failed to retire package. Please try again.",
+    });
+  }
 });
 
 // Process payment (Buyer only)
@@ -26,9 +420,10 @@ router.post(
   "/purchase",
   protect,
   restrictTo("Buyer", "Admin"),
+  idempotent,
   async (req, res) => {
     try {
-      const { packageId, paymentMethod = "dummy" } = req.body;
+      const { packageId, paymentMethod = "card", promoCode } = req.body;
 
       // Validate required fields
       if (!packageId) {
@@ -38,17 +433,17 @@ router.post(
         });
       }
 
+      const db = getDb();
+
       // SAFETY CHECK: Validate package exists (prevent tampering)
-      const coinPackage = COIN_PACKAGES.find((p) => p.id === packageId);
-      if (!coinPackage) {
+      const coinPackage = await getCurrentPackage(db, String(packageId));
+      if (!coinPackage || !coinPackage.active) {
         return res.status(400).json({
           success: false,
           message: "Invalid package selected",
         });
       }
 
-      const db = getDb();
-
       // Verify user exists
       const user = await db.collection("users").findOne({ _id: req.user._id });
       if (!user) {
@@ -67,8 +462,8 @@ router.post(
       const existingPayment = await db.collection("payments").findOne({
         user: req.user._id,
         createdAt: { $gte: new Date(Date.now() - 5000) }, // Within last 5 seconds
-        packageId: coinPackage.id,
-        status: "completed",
+        packageId: coinPackage.packageId,
+        status: { $in: ["pending", "completed"] },
       });
 
       if (existingPayment) {
@@ -79,60 +474,104 @@ router.post(
         });
       }
 
-      // Simulate payment processing
-      // In production, integrate with Stripe here
-      const paymentSuccess = true; // Dummy payment always succeeds
+      const provider = getActiveProvider();
 
-      if (!paymentSuccess) {
-        // Log failed payment attempt
-        await db.collection("payments").insertOne({
-          user: req.user._id,
-          packageId: coinPackage.id,
-          coins: coinPackage.coins,
-          amount: coinPackage.price,
-          currency: "USD",
-          paymentMethod,
-          status: "failed",
-          transactionId,
-          createdAt: new Date(),
+      // Check the promo code, if any. A use is claimed with the payment below.
+      let promo = null;
+      if (promoCode) {
+        const { redemption, error } = await checkPromoCode(db, {
+          code: promoCode,
+          userId: req.user._id,
+          coinPackage,
         });
 
-        return res.status(400).json({
-          success: false,
-          message: "Payment failed. Please try again.",
-        });
+        if (error) {
+          return res.status(400).json({
+            success: false,
+            message: error,
+          });
+        }
+        promo = redemption;
       }
 
-      // Create payment record first
       const payment = {
         user: req.user._id,
-        packageId: coinPackage.id,
-        coins: coinPackage.coins,
-        amount: coinPackage.price,
+        packageId: coinPackage.packageId,
+        packageVersion: coinPackage.version,
+        packageCoins: coinPackage.coins,
+        coins: coinPackage.coins + (promo ? promo.bonusCoins : 0),
+        packagePrice: coinPackage.price,
+        amount: coinPackage.price - (promo ? promo.discountAmount : 0),
         currency: "USD",
         paymentMethod,
-        status: "completed",
+        promo,
+        provider: provider.name,
+        intentId: null,
+        status: "pending",
         transactionId,
+        events: [],
         createdAt: new Date(),
       };
 
-      await db.collection("payments").insertOne(payment);
+      // Coins are only credited once the provider confirms the payment by webhook
+      let intent;
+      try {
+        intent = await provider.createIntent({
+          amount: payment.amount,
+          currency: payment.currency,
+          metadata: { transactionId, packageId: payment.packageId },
+        });
+      } catch (error) {
+        console.error("Payment intent error:", error);
 
-      // Update user coins (coins can only increase from purchases, no negative check needed)
-      await db
-        .collection("users")
-        .updateOne(
-          { _id: req.user._id },
-          { $inc: { coin: coinPackage.coins } }
-        );
+        // Log failed payment attempt
+        await db.collection("payments").insertOne({
+          ...payment,
+          status: "failed",
+          failureReason: error.message,
+          failedAt: new Date(),
+        });
+
+        return res.status(502).json({
+          success: false,
+          message: "Payment failed. Please try again.",
+        });
+      }
 
-      res.json({
+      payment.intentId = intent.intentId;
+
+      // SAFETY CHECK: Claim the promo use and record the payment together, so
+      // a failed insert never uses one up
+      try {
+        await withTransaction(async (session) => {
+          if (promo) {
+            await claimPromoCode(db, session, { redemption: promo, userId: req.user._id });
+          }
+          await db.collection("payments").insertOne(payment, { session });
+        });
+      } catch (error) {
+        if (error instanceof PromoCodeError) {
+          return res.status(400).json({
+            success: false,
+            message: error.message,
+          });
+        }
+        throw error;
+      }
+
+      res.status(201).json({
         success: true,
-        message: `Successfully purchased ${coinPackage.coins} coins`,
+        message: "Payment started. Coins will be added once the payment is confirmed.",
         payment: {
+          _id: payment._id,
           transactionId: payment.transactionId,
-          coins: coinPackage.coins,
-          amount: coinPackage.price,
+          provider: payment.provider,
+          intentId: payment.intentId,
+          clientSecret: intent.clientSecret,
+          status: payment.status,
+          coins: payment.coins,
+          amount: payment.amount,
+          promo: payment.promo,
         },
       });
     } catch (error) {
@@ -144,6 +583,97 @@ router.post(
   }
 );
 
+// Provider webhook confirming a payment outcome
+router.post("/webhook/:provider", async (req, res) => {
+  try {
+    const provider = getProvider(req.params.provider);
+    if (!provider || (provider.name === "mock" && !mockPaymentsEnabled())) {
+      return res.status(404).json({
+        success: false,
+        message: "Unknown payment provider",
+      });
+    }
+
+    let event;
+    try {
+      event = provider.parseWebhook(req.rawBody || "", req.headers);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    // Acknowledge events we don't act on so the provider stops retrying
+    if (!event) {
+      return res.json({ success: true, received: true });
+    }
+
+    const payment = await applyPaymentEvent(getDb(), provider.name, event);
+
+    res.json({
+      success: true,
+      received: true,
+      paymentStatus: payment ? payment.status : null,
+    });
+  } catch (error) {
+    console.error("Payment webhook error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to process webhook",
+    });
+  }
+});
+
+// Drive a mock payment to an outcome (development only)
+router.post("/mock/:intentId/:outcome", protect, async (req, res) => {
+  try {
+    if (!mockPaymentsEnabled()) {
+      return res.status(404).json({
+        success: false,
+        message: "Route not found",
+      });
+    }
+
+    const db = getDb();
+    const existing = await db.collection("payments").findOne({
+      provider: "mock",
+      intentId: req.params.intentId,
+    });
+
+    // SAFETY CHECK: Users can only drive their own payments
+    if (!existing || (existing.user.toString() !== req.user._id.toString() && req.user.role !== "Admin")) {
+      return res.status(404).json({
+        success: false,
+        message: "Payment not found",
+      });
+    }
+
+    let webhook;
+    try {
+      webhook = mockProvider.buildWebhook(req.params.intentId, req.params.outcome);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    const event = mockProvider.parseWebhook(webhook.body, webhook.headers);
+    const payment = await applyPaymentEvent(db, "mock", event);
+
+    res.json({
+      success: true,
+      payment: payment || existing,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Failed to update mock payment",
+    });
+  }
+});
+
 // Get payment history (for current user)
 router.get("/history", protect, async (req, res) => {
   try {
@@ -0,0 +1,379 @@
+const express = require("express");
+const { ObjectId } = require("mongodb");
+const { getDb } = require("../config/db");
+const { protect, restrictTo } = require("../middleware/auth");
+const { getCurrentPackages } = require("../utils/pricing");
+const { PROMO_TYPES, REDEEMED_STATUSES, normalizeCode } = require("../utils/promoCodes");
+
+const router = express.Router();
+
+// Only admins manage promo codes
+router.use(protect, restrictTo("Admin"));
+
+// VALIDATION FIX: Validate promo code fields. Returns { updates } or { error }.
+const validatePromoFields = async (db, body, existing) => {
+  const updates = {};
+  const type = body.type !== undefined ? body.type : existing?.type;
+
+  if (!PROMO_TYPES.includes(type)) {
+    return { error: "Type must be one of: " + PROMO_TYPES.join(", ") };
+  }
+  if (body.type !== undefined) updates.type = type;
+
+  if (type === "bonus" && (body.bonusCoins !== undefined || !existing || existing.type !== "bonus")) {
+    const bonusCoins = parseInt(body.bonusCoins);
+    if (isNaN(bonusCoins) || bonusCoins <= 0 || bonusCoins > 100000) {
+      return { error: "Bonus coins must be a positive number up to 100,000" };
+    }
+    updates.bonusCoins = bonusCoins;
+    updates.discountPercent = 0;
+  }
+
+  if (type === "discount" && (body.discountPercent !== undefined || !existing || existing.type !== "discount")) {
+    const discountPercent = parseInt(body.discountPercent);
+    if (isNaN(discountPercent) || discountPercent < 1 || discountPercent > 90) {
+      return { error: "Discount percent must be between 1 and 90" };
+    }
+    updates.discountPercent = discountPercent;
+    updates.bonusCoins = 0;
+  }
+
+  if (body.expiresAt !== undefined) {
+    if (body.expiresAt === null) {
+      updates.expiresAt = null;
+    } else {
+      const expiresAt = new Date(body.expiresAt);
+      if (isNaN(expiresAt.getTime()) || expiresAt <= new Date()) {
+        return { error: "Expiry date must be a valid date in the future" };
+      }
+      updates.expiresAt = expiresAt;
+    }
+  }
+
+  for (const field of ["maxUses", "maxUsesPerUser"]) {
+    if (body[field] === undefined) continue;
+    if (body[field] === null) {
+      updates[field] = null;
+      continue;
+    }
+    const limit = parseInt(body[field]);
+    if (isNaN(limit) || limit <= 0) {
+      return { error: `${field} must be a positive number or null for no limit` };
+    }
+    updates[field] = limit;
+  }
+
+  if (body.packageIds !== undefined) {
+    if (!Array.isArray(body.packageIds) || !body.packageIds.every((id) => typeof id === "string")) {
+      return { error: "Package IDs must be an array of package IDs" };
+    }
+    const packages = await getCurrentPackages(db, { includeRetired: true });
+    const knownIds = packages.map((pkg) => pkg.packageId);
+    const unknown = body.packageIds.filter((id) => !knownIds.includes(id));
+    if (unknown.length > 0) {
+      return { error: "Unknown package IDs: " + unknown.join(", ") };
+    }
+    updates.packageIds = body.packageIds;
+  }
+
+  if (body.active !== undefined) {
+    if (typeof body.active !== "boolean") {
+      return { error: "Active must be true or false" };
+    }
+    updates.active = body.active;
+  }
+
+  return { updates };
+};
+
+// Get all promo codes
+router.get("/", async (req, res) => {
+  try {
+    const { active } = req.query;
+    const db = getDb();
+    const query = {};
+
+    if (active !== undefined) query.active = active === "true";
+
+    const promoCodes = await db
+      .collection("promo_codes")
+      .find(query)
+      .sort({ createdAt: -1 })
+      .toArray();
+
+    res.json({
+      success: true,
+      count: promoCodes.length,
+      promoCodes,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch promo codes. Please try again.",
+    });
+  }
+});
+
+// Get redemption report for all promo codes
+router.get("/report", async (req, res) => {
+  try {
+    const db = getDb();
+
+    const report = await db.collection("payments").aggregate([
+      { $match: { promo: { $ne: null }, status: { $in: REDEEMED_STATUSES } } },
+      {
+        $group: {
+          _id: "$promo.promoId",
+          code: { $first: "$promo.code" },
+          type: { $first: "$promo.type" },
+          redemptions: { $sum: 1 },
+          completed: { $sum: { $cond: [{ $eq: ["$status", "completed"] }, 1, 0] } },
+          pending: { $sum: { $cond: [{ $eq: ["$status", "pending"] }, 1, 0] } },
+          refunded: { $sum: { $cond: [{ $eq: ["$status", "refunded"] }, 1, 0] } },
+          uniqueUsers: { $addToSet: "$user" },
+          bonusCoins: {
+            $sum: { $cond: [{ $eq: ["$status", "completed"] }, "$promo.bonusCoins", 0] },
+          },
+          discountGiven: {
+            $sum: { $cond: [{ $eq: ["$status", "completed"] }, "$promo.discountAmount", 0] },
+          },
+          revenue: {
+            $sum: { $cond: [{ $eq: ["$status", "completed"] }, "$amount", 0] },
+          },
+        },
+      },
+      { $addFields: { uniqueUsers: { $size: "$uniqueUsers" } } },
+      { $sort: { redemptions: -1 } },
+    ]).toArray();
+
+    res.json({
+      success: true,
+      report,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch promo code report. Please try again.",
+    });
+  }
+});
+
+// Get redemptions of a single promo code
+router.get("/:id/redemptions", async (req, res) => {
+  try {
+    if (!ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid promo code ID format",
+      });
+    }
+
+    const { page = 1, limit = 20 } = req.query;
+    const db = getDb();
+
+    // Validate pagination params
+    const pageNum = Math.max(1, parseInt(page) || 1);
+    const limitNum = Math.min(100, Math.max(1, parseInt(limit) || 20));
+    const skip = (pageNum - 1) * limitNum;
+
+    const query = { "promo.promoId": new ObjectId(req.params.id) };
+
+    const redemptions = await db.collection("payments").aggregate([
+      { $match: query },
+      { $sort: { createdAt: -1 } },
+      { $skip: skip },
+      { $limit: limitNum },
+      {
+        $lookup: {
+          from: "users",
+          localField: "user",
+          foreignField: "_id",
+          as: "userInfo"
+        }
+      },
+      {
+        $addFields: {
+          user: {
+            $let: {
+              vars: { userData: { $arrayElemAt: ["$userInfo", 0] } },
+              in: {
+                _id: "$$userData._id",
+                name: "$$userData.name",
+                email: "$$userData.email"
+              }
+            }
+          }
+        }
+      },
+      { $project: { userInfo: 0, events: 0 } }
+    ]).toArray();
+
+    const total = await db.collection("payments").countDocuments(query);
+
+    res.json({
+      success: true,
+      count: redemptions.length,
+      total,
+      pages: Math.ceil(total / limitNum),
+      currentPage: pageNum,
+      redemptions,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch redemptions. Please try again.",
+    });
+  }
+});
+
+// Create promo code
+router.post("/", async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code || typeof code !== "string" || !/^[A-Za-z0-9_-]{3,30}$/.test(code.trim())) {
+      return res.status(400).json({
+        success: false,
+        message: "Code must be 3-30 letters, numbers, hyphens, or underscores",
+      });
+    }
+
+    const db = getDb();
+    const { updates, error } = await validatePromoFields(db, req.body, null);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error,
+      });
+    }
+
+    const newPromoCode = {
+      code: normalizeCode(code),
+      type: updates.type,
+      bonusCoins: updates.bonusCoins || 0,
+      discountPercent: updates.discountPercent || 0,
+      expiresAt: updates.expiresAt || null,
+      maxUses: updates.maxUses || null,
+      maxUsesPerUser: updates.maxUsesPerUser || null,
+      packageIds: updates.packageIds || [],
+      active: updates.active !== undefined ? updates.active : true,
+      usedCount: 0,
+      createdBy: req.user._id,
+      createdAt: new Date(),
+    };
+
+    await db.collection("promo_codes").insertOne(newPromoCode);
+
+    res.status(201).json({
+      success: true,
+      promoCode: newPromoCode,
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: "A promo code with this code already exists",
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: "Failed to create promo code. Please try again.",
+    });
+  }
+});
+
+// Update promo code
+router.patch("/:id", async (req, res) => {
+  try {
+    if (!ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid promo code ID format",
+      });
+    }
+
+    const db = getDb();
+    const existing = await db.collection("promo_codes").findOne({
+      _id: new ObjectId(req.params.id),
+    });
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: "Promo code not found",
+      });
+    }
+
+    const { updates, error } = await validatePromoFields(db, req.body, existing);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error,
+      });
+    }
+
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "No valid fields to update",
+      });
+    }
+
+    const result = await db.collection("promo_codes").findOneAndUpdate(
+      { _id: existing._id },
+      { $set: updates },
+      { returnDocument: "after" }
+    );
+
+    res.json({
+      success: true,
+      promoCode: result,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Failed to update promo code. Please try again.",
+    });
+  }
+});
+
+// Deactivate promo code (kept for redemption history)
+router.delete("/:id", async (req, res) => {
+  try {
+    if (!ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid promo code ID format",
+      });
+    }
+
+    const db = getDb();
+    const result = await db.collection("promo_codes").findOneAndUpdate(
+      { _id: new ObjectId(req.params.id) },
+      { $set: { active: false } },
+      { returnDocument: "after" }
+    );
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        message: "Promo code not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Promo code deactivated successfully",
+      promoCode: result,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Failed to deactivate promo code. Please try again.",
+    });
+  }
+});
+
+module.exports = router;
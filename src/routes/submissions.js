@@ -1,7 +1,29 @@
 const express = require("express");
 const { ObjectId } = require("mongodb");
-const { getDb } = require("../config/db");
+const { getDb, withTransaction } = require("../config/db");
 const { protect, restrictTo } = require("../middleware/auth");
+const { uploadAttachments } = require("../middleware/upload");
+const { EscrowExhaustedError } = require("../utils/escrow");
+const { validateAnswers, summarizeAnswers } = require("../utils/submissionForm");
+const { getWorkerStats, checkEligibility } = require("../utils/eligibility");
+const { SlotsFullError, reserveSlot, endClaim } = require("../utils/claims");
+const {
+  SubmissionLimitError,
+  submissionLimitMessage,
+  getRemainingSubmissions,
+  useSubmission,
+} = require("../utils/submissionLimits");
+const {
+  reviewDueAt,
+  lockSubmission,
+  unlockSubmission,
+  approveSubmission,
+  rejectSubmission,
+  requestRevision,
+  RevisionLimitError,
+} = require("../utils/review");
+const { notify } = require("../utils/notifications");
+const { validateFiles, storeFiles, deleteStoredFiles } = require("../utils/attachments");
 
 const router = express.Router();
 
@@ -121,16 +143,49 @@ router.get("/", protect, async (req, res) => {
 });
 
 
+// VALIDATION FIX: Validate a submission's content. Tasks with a form take
+// structured answers; the rest take free text. Returns { details, answers }
+// or { error, fieldErrors }.
+const parseSubmissionContent = (task, { submissionDetails, answers }) => {
+  if (task.submissionForm && task.submissionForm.length > 0) {
+    // Multipart requests send the answers as a JSON string
+    if (typeof answers === "string") {
+      try {
+        answers = JSON.parse(answers);
+      } catch (error) {
+        return { error: "Answers must be a JSON object" };
+      }
+    }
+
+    const { answers: validAnswers, error, fieldErrors } = validateAnswers(task.submissionForm, answers);
+    if (error) {
+      return { error, fieldErrors };
+    }
+    return { details: summarizeAnswers(task.submissionForm, validAnswers), answers: validAnswers };
+  }
+
+  // VALIDATION FIX: Validate submission details
+  if (typeof submissionDetails !== "string" || submissionDetails.trim().length < 10) {
+    return { error: "Submission details must be at least 10 characters long" };
+  }
+
+  if (submissionDetails.trim().length > 5000) {
+    return { error: "Submission details cannot exceed 5000 characters" };
+  }
+
+  return { details: submissionDetails.trim(), answers: null };
+};
+
 // Create submission (Worker only)
-router.post("/", protect, restrictTo("Worker"), async (req, res) => {
+router.post("/", protect, restrictTo("Worker"), uploadAttachments, async (req, res) => {
   try {
-    const { taskId, submissionDetails } = req.body;
+    const { taskId } = req.body;
 
     // VALIDATION FIX: Enhanced input validation
-    if (!taskId || !submissionDetails) {
+    if (!taskId) {
       return res.status(400).json({
         success: false,
-        message: "Task ID and submission details are required",
+        message: "Task ID is required",
       });
     }
 
@@ -141,21 +196,6 @@ router.post("/", protect, restrictTo("Worker"), async (req, res) => {
       });
     }
 
-    // VALIDATION FIX: Validate submission details
-    if (typeof submissionDetails !== "string" || submissionDetails.trim().length < 10) {
-      return res.status(400).json({
-        success: false,
-        message: "Submission details must be at least 10 characters long",
-      });
-    }
-
-    if (submissionDetails.trim().length > 5000) {
-      return res.status(400).json({
-        success: false,
-        message: "Submission details cannot exceed 5000 characters",
-      });
-    }
-
     const db = getDb();
 
     const task = await db.collection("tasks").findOne({ 
@@ -191,36 +231,132 @@ router.post("/", protect, restrictTo("Worker"), async (req, res) => {
       });
     }
 
-    // VALIDATION FIX: Check for existing submission with atomic operation
-    const existingSubmission = await db.collection("submissions").findOne({
-      task: new ObjectId(taskId),
-      worker: req.user._id,
-    });
+    // SAFETY CHECK: Enforce the buyer's worker eligibility rules
+    if (task.eligibility) {
+      const { eligible, reasons } = checkEligibility(task, await getWorkerStats(db, req.user));
+      if (!eligible) {
+        return res.status(403).json({
+          success: false,
+          message: "You are not eligible for this task: " + reasons.join("; "),
+          reasons,
+        });
+      }
+    }
+
+    const { details, answers: cleanAnswers, error: contentError, fieldErrors } =
+      parseSubmissionContent(task, req.body);
+    if (contentError) {
+      return res.status(400).json({
+        success: false,
+        message: contentError,
+        fieldErrors,
+      });
+    }
 
-    if (existingSubmission) {
+    // VALIDATION FIX: Check the worker's submission limit before doing any work.
+    // The limit is enforced again atomically when the submission is stored.
+    const remaining = await getRemainingSubmissions(db, { task, workerId: req.user._id });
+    if (remaining === 0) {
       return res.status(400).json({
         success: false,
-        message: "You have already submitted for this task",
-        existingStatus: existingSubmission.status,
+        message: submissionLimitMessage(task),
       });
     }
 
     const newSubmission = {
+      _id: new ObjectId(),
       task: new ObjectId(taskId),
       worker: req.user._id,
-      submissionDetails: submissionDetails.trim(),
+      submissionDetails: details,
+      answers: cleanAnswers,
       status: "pending",
       feedback: "",
       rewardPaid: 0,
       submittedAt: new Date(),
       reviewedAt: null,
+      reviewDueAt: reviewDueAt(task),
+      reviewWarningSentAt: null,
+      autoApproved: false,
+      attachments: [],
+      version: 1,
+      versions: [],
+      revisionCount: 0,
+      revisionDueAt: null,
     };
 
-    const result = await db.collection("submissions").insertOne(newSubmission);
+    // VALIDATION FIX: Check attached files before storing any of them
+    const { error: filesError } = validateFiles(req.files);
+    if (filesError) {
+      return res.status(400).json({
+        success: false,
+        message: filesError,
+      });
+    }
+
+    // The worker's claim, if they took one and it hasn't run out
+    let claim = await db.collection("claims").findOne({
+      task: task._id,
+      worker: req.user._id,
+      status: "active",
+    });
+    if (claim && claim.expiresAt <= new Date()) {
+      await withTransaction((session) => endClaim(db, session, { claim, status: "expired" }));
+      claim = null;
+    }
+
+    newSubmission.attachments = await storeFiles(db, req.files, {
+      task: task._id,
+      submission: newSubmission._id,
+      version: 1,
+      uploadedBy: req.user._id,
+    });
+
+    // SAFETY CHECK: Every pending submission holds a slot, either the one the
+    // worker claimed or one taken now, so a task can't collect more than it pays for
+    try {
+      await withTransaction(async (session) => {
+        if (claim) {
+          const converted = await db.collection("claims").updateOne(
+            { _id: claim._id, status: "active" },
+            { $set: { status: "submitted", endedAt: new Date(), submission: newSubmission._id } },
+            { session }
+          );
+          if (converted.modifiedCount !== 1) {
+            throw new SlotsFullError();
+          }
+        } else if (!(await reserveSlot(db, session, task._id))) {
+          throw new SlotsFullError();
+        }
+
+        newSubmission.attempt = await useSubmission(db, session, { task, workerId: req.user._id });
+        await db.collection("submissions").insertOne(newSubmission, { session });
+      });
+    } catch (error) {
+      // The submission wasn't saved, so its files have nothing to belong to
+      await deleteStoredFiles(db, newSubmission.attachments);
+
+      if (error instanceof SlotsFullError) {
+        return res.status(400).json({
+          success: false,
+          message: claim
+            ? "Your claim on this task has ended. Claim a slot again to submit."
+            : "All slots on this task are currently taken",
+        });
+      }
+      if (error instanceof SubmissionLimitError || error.code === 11000) {
+        return res.status(400).json({
+          success: false,
+          message: error instanceof SubmissionLimitError
+            ? error.message
+            : "This submission was already recorded",
+        });
+      }
+      throw error;
+    }
 
     res.status(201).json({
       success: true,
-      submission: { ...newSubmission, _id: result.insertedId },
+      submission: newSubmission,
     });
   } catch (error) {
     console.error("Submission creation error:", error);
@@ -231,11 +367,9 @@ router.post("/", protect, restrictTo("Worker"), async (req, res) => {
   }
 });
 
-// Review submission (Buyer - task owner)
-router.patch("/:id/review", protect, restrictTo("Buyer", "Admin"), async (req, res) => {
+// Get single submission with its earlier versions (worker, task owner or admin)
+router.get("/:id", protect, async (req, res) => {
   try {
-    const { status, feedback } = req.body;
-
     if (!ObjectId.isValid(req.params.id)) {
       return res.status(400).json({
         success: false,
@@ -243,121 +377,390 @@ router.patch("/:id/review", protect, restrictTo("Buyer", "Admin"), async (req, r
       });
     }
 
-    if (!status || !["approved", "rejected"].includes(status)) {
+    const db = getDb();
+    const submission = await db.collection("submissions").findOne({
+      _id: new ObjectId(req.params.id)
+    });
+
+    if (!submission) {
+      return res.status(404).json({
+        success: false,
+        message: "Submission not found",
+      });
+    }
+
+    const task = await db.collection("tasks").findOne(
+      { _id: submission.task },
+      { projection: { buyer: 1, title: 1, reward: 1, maxRevisions: 1 } }
+    );
+
+    // SECURITY FIX: Only the worker, the task's buyer and admins can see it
+    const isWorker = submission.worker.toString() === req.user._id.toString();
+    const isBuyer = task && task.buyer.toString() === req.user._id.toString();
+    if (!isWorker && !isBuyer && req.user.role !== "Admin") {
+      return res.status(403).json({
+        success: false,
+        message: "Not authorized to view this submission.",
+      });
+    }
+
+    res.json({
+      success: true,
+      submission: { ...submission, taskInfo: task },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch submission. Please try again.",
+    });
+  }
+});
+
+// Resubmit after the buyer asked for a revision (Worker - submission owner).
+// The earlier version and the feedback it got are kept in `versions`.
+router.patch("/:id/resubmit", protect, restrictTo("Worker"), uploadAttachments, async (req, res) => {
+  try {
+    if (!ObjectId.isValid(req.params.id)) {
       return res.status(400).json({
         success: false,
-        message: "Status must be 'approved' or 'rejected'",
+        message: "Invalid submission ID format",
       });
     }
 
     const db = getDb();
-    
-    // SECURITY FIX: Use atomic operation to prevent double approval
-    const submission = await db.collection("submissions").findOneAndUpdate(
-      { 
-        _id: new ObjectId(req.params.id),
-        status: "pending" // Only update if still pending
-      },
-      { 
-        $set: { 
-          status: "processing", // Lock the submission
-          reviewedAt: new Date()
-        } 
-      },
-      { returnDocument: "after" }
-    );
+    const submission = await db.collection("submissions").findOne({
+      _id: new ObjectId(req.params.id),
+      worker: req.user._id,
+    });
 
     if (!submission) {
       return res.status(404).json({
         success: false,
-        message: "Submission not found or already reviewed",
+        message: "Submission not found",
       });
     }
 
-    const task = await db.collection("tasks").findOne({ 
-      _id: submission.task 
-    });
+    if (submission.status !== "revision_requested") {
+      return res.status(400).json({
+        success: false,
+        message: "Only submissions sent back for revision can be resubmitted",
+      });
+    }
+
+    if (submission.revisionDueAt && submission.revisionDueAt <= new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: "The time to revise this submission has passed",
+      });
+    }
+
+    const task = await db.collection("tasks").findOne({ _id: submission.task });
 
     if (!task) {
-      // Rollback the processing status
-      await db.collection("submissions").updateOne(
-        { _id: new ObjectId(req.params.id) },
-        { $set: { status: "pending" } }
-      );
       return res.status(404).json({
         success: false,
         message: "Associated task not found",
       });
     }
 
-    // SECURITY FIX: Validate ownership with proper authorization
-    if (task.buyer.toString() !== req.user._id.toString() && req.user.role !== "Admin") {
-      // Rollback the processing status
-      await db.collection("submissions").updateOne(
-        { _id: new ObjectId(req.params.id) },
-        { $set: { status: "pending" } }
-      );
-      return res.status(403).json({
+    const { details, answers, error: contentError, fieldErrors } = parseSubmissionContent(task, req.body);
+    if (contentError) {
+      return res.status(400).json({
         success: false,
-        message: "Not authorized to review this submission.",
+        message: contentError,
+        fieldErrors,
       });
     }
 
-    const updates = {
-      status,
-      feedback: feedback || "",
-      reviewedAt: new Date(),
+    const { error: filesError } = validateFiles(req.files);
+    if (filesError) {
+      return res.status(400).json({
+        success: false,
+        message: filesError,
+      });
+    }
+
+    const previous = {
+      version: submission.version || 1,
+      submissionDetails: submission.submissionDetails,
+      answers: submission.answers || null,
+      attachments: submission.attachments || [],
+      submittedAt: submission.submittedAt,
+      feedback: submission.feedback,
+      reviewedAt: submission.reviewedAt,
     };
 
-    if (status === "approved") {
-      updates.rewardPaid = task.reward;
-      
-      // SECURITY FIX: Atomic operations to prevent race conditions
-      // Update worker coins and task completion count atomically
-      const session = db.client.startSession();
-      
-      try {
-        await session.withTransaction(async () => {
-          // Award coins to worker
-          await db.collection("users").updateOne(
-            { _id: submission.worker },
-            { $inc: { coin: task.reward } },
-            { session }
-          );
+    // New files replace the earlier version's; without any, those carry over
+    const version = previous.version + 1;
+    const attachments = req.files.length > 0
+      ? await storeFiles(db, req.files, {
+          task: task._id,
+          submission: submission._id,
+          version,
+          uploadedBy: req.user._id,
+        })
+      : previous.attachments;
+
+    // SECURITY FIX: Only resubmit if the revision is still open, so two
+    // resubmits can't both land
+    const result = await db.collection("submissions").findOneAndUpdate(
+      { _id: submission._id, status: "revision_requested" },
+      {
+        $set: {
+          submissionDetails: details,
+          answers,
+          attachments,
+          status: "pending",
+          feedback: "",
+          version,
+          submittedAt: new Date(),
+          reviewedAt: null,
+          reviewDueAt: reviewDueAt(task),
+          reviewWarningSentAt: null,
+          revisionDueAt: null,
+        },
+        $push: { versions: previous },
+      },
+      { returnDocument: "after" }
+    );
 
-          // Increment task completion count
-          await db.collection("tasks").updateOne(
-            { _id: task._id },
-            { $inc: { completedCount: 1 } },
-            { session }
-          );
+    if (!result) {
+      if (req.files.length > 0) {
+        await deleteStoredFiles(db, attachments);
+      }
+      return res.status(400).json({
+        success: false,
+        message: "This submission was already resubmitted",
+      });
+    }
 
-          // Update submission status
-          await db.collection("submissions").updateOne(
-            { _id: new ObjectId(req.params.id) },
-            { $set: updates },
-            { session }
-          );
-        });
-      } finally {
-        await session.endSession();
+    res.json({
+      success: true,
+      submission: result,
+    });
+  } catch (error) {
+    console.error("Submission resubmit error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to resubmit. Please try again.",
+    });
+  }
+});
+
+const MAX_BULK_REVIEW = 100;
+const REVIEW_STATUSES = ["approved", "rejected", "revision_requested"];
+
+// Why a submission couldn't be reviewed, with the response the single
+// review route gives for it
+const REVIEW_FAILURES = {
+  not_pending: { httpStatus: 404, message: "Submission not found or already reviewed" },
+  task_not_found: { httpStatus: 404, message: "Associated task not found" },
+  forbidden: { httpStatus: 403, message: "Not authorized to review this submission." },
+  slots_full: {
+    httpStatus: 400,
+    message: "All slots on this task are already filled. Reject this submission instead.",
+  },
+  escrow_exhausted: { httpStatus: 400, message: "Task has no escrow left to pay this submission" },
+  feedback_required: { httpStatus: 400, message: "Feedback is required when requesting a revision" },
+  revision_limit: {
+    httpStatus: 400,
+    message: "This submission has used all its revision rounds. Approve or reject it instead.",
+  },
+};
+
+// Lock, authorize and approve or reject one submission, each in its own
+// transaction. Returns { submission } once reviewed, or { failure, ...details }
+// with the submission unlocked again.
+const reviewOne = async (db, { submissionId, status, feedback, user }) => {
+  // The worker needs to know what to change
+  if (status === "revision_requested" && (typeof feedback !== "string" || !feedback.trim())) {
+    return { failure: "feedback_required" };
+  }
+
+  // SECURITY FIX: Use atomic operation to prevent double approval
+  const submission = await lockSubmission(db, { _id: submissionId });
+
+  if (!submission) {
+    return { failure: "not_pending" };
+  }
+
+  try {
+    const task = await db.collection("tasks").findOne({
+      _id: submission.task
+    });
+
+    if (!task) {
+      await unlockSubmission(db, submission);
+      return { failure: "task_not_found" };
+    }
+
+    // SECURITY FIX: Validate ownership with proper authorization
+    if (task.buyer.toString() !== user._id.toString() && user.role !== "Admin") {
+      await unlockSubmission(db, submission);
+      return { failure: "forbidden" };
+    }
+
+    const review = { submission, task, actor: user._id, feedback };
+
+    // SECURITY FIX: Atomic operations to prevent race conditions
+    await withTransaction(async (session) => {
+      if (status === "approved") {
+        await approveSubmission(db, session, review);
+      } else if (status === "rejected") {
+        await rejectSubmission(db, session, review);
+      } else {
+        await requestRevision(db, session, { ...review, feedback: feedback.trim() });
+        await notify(db, {
+          user: submission.worker,
+          type: "revision_requested",
+          task: task._id,
+          submission: submission._id,
+          message: `The buyer of "${task.title}" asked for changes to your submission: ${feedback.trim()}`,
+        }, session);
       }
-    } else if (status === "rejected") {
-      // For rejected submissions, just update the submission
-      await db.collection("submissions").updateOne(
-        { _id: new ObjectId(req.params.id) },
-        { $set: updates }
-      );
+    });
+  } catch (error) {
+    await unlockSubmission(db, submission);
+
+    if (error instanceof SlotsFullError) {
+      return { failure: "slots_full" };
+    }
+    if (error instanceof EscrowExhaustedError) {
+      return { failure: "escrow_exhausted", escrow: error.available, required: error.required };
     }
+    if (error instanceof RevisionLimitError) {
+      return { failure: "revision_limit", maxRevisions: error.maxRevisions };
+    }
+    throw error;
+  }
 
-    // Get the updated submission
-    const result = await db.collection("submissions").findOne({
-      _id: new ObjectId(req.params.id)
+  return {
+    submission: await db.collection("submissions").findOne({ _id: submission._id }),
+  };
+};
+
+// VALIDATION FIX: Build the list of submissions a bulk review covers, from
+// `submissions` (ids, or { id, feedback } items) or a `filter` of pending
+// submissions. Returns { items, query } or { error }.
+const resolveBulkItems = async (db, body, user) => {
+  const { submissions, filter } = body;
+
+  if ((submissions === undefined) === (filter === undefined)) {
+    return { error: "Provide either a list of submissions or a filter" };
+  }
+
+  if (submissions !== undefined) {
+    if (!Array.isArray(submissions) || submissions.length === 0) {
+      return { error: "Submissions must be a non-empty array" };
+    }
+    if (submissions.length > MAX_BULK_REVIEW) {
+      return { error: `At most ${MAX_BULK_REVIEW} submissions can be reviewed at once` };
+    }
+
+    const items = [];
+    const seen = new Set();
+    for (const entry of submissions) {
+      const id = typeof entry === "object" && entry !== null ? entry.id : entry;
+      if (typeof id !== "string" || !ObjectId.isValid(id)) {
+        return { error: `Invalid submission ID: ${id}` };
+      }
+      if (entry.feedback !== undefined && typeof entry.feedback !== "string") {
+        return { error: `Feedback for submission ${id} must be text` };
+      }
+      if (seen.has(id)) continue;
+      seen.add(id);
+      items.push({ id: new ObjectId(id), feedback: entry.feedback });
+    }
+    return { items };
+  }
+
+  if (typeof filter !== "object" || filter === null) {
+    return { error: "Filter must be an object" };
+  }
+
+  const query = { status: "pending" };
+
+  // Buyers only ever match submissions on their own tasks
+  if (user.role === "Buyer") {
+    const buyerTasks = await db.collection("tasks")
+      .find({ buyer: user._id }, { projection: { _id: 1 } })
+      .toArray();
+    query.task = { $in: buyerTasks.map((t) => t._id) };
+  }
+
+  if (filter.task !== undefined) {
+    if (!ObjectId.isValid(filter.task)) {
+      return { error: "Invalid task ID format" };
+    }
+    const taskId = new ObjectId(filter.task);
+    query.task = query.task ? { $in: query.task.$in.filter((id) => id.equals(taskId)) } : taskId;
+  }
+
+  if (filter.worker !== undefined) {
+    if (!ObjectId.isValid(filter.worker)) {
+      return { error: "Invalid worker ID format" };
+    }
+    query.worker = new ObjectId(filter.worker);
+  }
+
+  for (const [key, op] of [["submittedBefore", "$lt"], ["submittedAfter", "$gt"]]) {
+    if (filter[key] === undefined) continue;
+    const date = new Date(filter[key]);
+    if (isNaN(date.getTime())) {
+      return { error: `Invalid ${key} date` };
+    }
+    query.submittedAt = { ...query.submittedAt, [op]: date };
+  }
+
+  const matched = await db
+    .collection("submissions")
+    .find(query, { projection: { _id: 1 } })
+    .sort({ submittedAt: 1 })
+    .limit(MAX_BULK_REVIEW)
+    .toArray();
+
+  return { items: matched.map((submission) => ({ id: submission._id })), query };
+};
+
+// Review submission (Buyer - task owner)
+router.patch("/:id/review", protect, restrictTo("Buyer", "Admin"), async (req, res) => {
+  try {
+    const { status, feedback } = req.body;
+
+    if (!ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid submission ID format",
+      });
+    }
+
+    if (!status || !REVIEW_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: "Status must be 'approved', 'rejected' or 'revision_requested'",
+      });
+    }
+
+    const db = getDb();
+    const { submission, failure, ...details } = await reviewOne(db, {
+      submissionId: new ObjectId(req.params.id),
+      status,
+      feedback,
+      user: req.user,
     });
 
+    if (failure) {
+      const { httpStatus, message } = REVIEW_FAILURES[failure];
+      return res.status(httpStatus).json({
+        success: false,
+        message,
+        ...details,
+      });
+    }
+
     res.json({
       success: true,
-      submission: result,
+      submission,
     });
   } catch (error) {
     console.error("Submission review error:", error);
@@ -368,4 +771,80 @@ router.patch("/:id/review", protect, restrictTo("Buyer", "Admin"), async (req, r
   }
 });
 
+// Approve or reject many submissions at once (Buyer - task owner). Each
+// submission is locked and reviewed on its own, so one failing doesn't undo
+// the others; every item gets its own result.
+router.post("/bulk-review", protect, restrictTo("Buyer", "Admin"), async (req, res) => {
+  try {
+    const { status, feedback } = req.body;
+
+    if (!status || !REVIEW_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: "Status must be 'approved', 'rejected' or 'revision_requested'",
+      });
+    }
+
+    if (feedback !== undefined && typeof feedback !== "string") {
+      return res.status(400).json({
+        success: false,
+        message: "Feedback must be text",
+      });
+    }
+
+    const db = getDb();
+    const { items, query, error } = await resolveBulkItems(db, req.body, req.user);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error,
+      });
+    }
+
+    const results = [];
+    for (const item of items) {
+      try {
+        const { submission, failure, ...details } = await reviewOne(db, {
+          submissionId: item.id,
+          status,
+          feedback: item.feedback !== undefined ? item.feedback : feedback,
+          user: req.user,
+        });
+
+        results.push(
+          failure
+            ? { id: item.id, success: false, reason: failure, message: REVIEW_FAILURES[failure].message, ...details }
+            : { id: item.id, success: true, status: submission.status, rewardPaid: submission.rewardPaid }
+        );
+      } catch (error) {
+        console.error(`Bulk review error for submission ${item.id}:`, error);
+        results.push({
+          id: item.id,
+          success: false,
+          reason: "error",
+          message: "Failed to review submission. Please try again.",
+        });
+      }
+    }
+
+    const reviewed = results.filter((result) => result.success).length;
+
+    res.json({
+      success: true,
+      requested: items.length,
+      reviewed,
+      failed: items.length - reviewed,
+      // Pending submissions the filter still matches, past this batch's limit
+      remaining: query ? await db.collection("submissions").countDocuments(query) : undefined,
+      results,
+    });
+  } catch (error) {
+    console.error("Bulk review error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to review submissions. Please try again.",
+    });
+  }
+});
+
 module.exports = router;
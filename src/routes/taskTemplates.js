@@ -0,0 +1,346 @@
+const express = require("express");
+const { ObjectId } = require("mongodb");
+const { getDb } = require("../config/db");
+const { protect, restrictTo } = require("../middleware/auth");
+const { idempotent } = require("../middleware/idempotency");
+const { InsufficientCoinsError } = require("../utils/ledger");
+const { validateTaskInput, taskToInput, createFundedTask } = require("../utils/taskInput");
+
+const router = express.Router();
+
+// Templates belong to the buyer who saved them
+router.use(protect, restrictTo("Buyer", "Admin"));
+
+// VALIDATION FIX: Validate template settings with the same rules as task
+// creation. Deadlines are stored as a number of days from when a task is
+// created. Returns { template } fields or { error }.
+const validateTemplate = async (db, body, existing) => {
+  const name = body.name !== undefined ? body.name : existing?.name;
+  if (typeof name !== "string" || name.trim().length < 1 || name.trim().length > 100) {
+    return { error: "Template name must be between 1 and 100 characters" };
+  }
+
+  let deadlineDays = existing ? existing.deadlineDays : null;
+  if (body.deadlineDays !== undefined) {
+    deadlineDays = body.deadlineDays === null ? null : parseInt(body.deadlineDays);
+    if (deadlineDays !== null && (isNaN(deadlineDays) || deadlineDays < 1 || deadlineDays > 365)) {
+      return { error: "Deadline days must be between 1 and 365" };
+    }
+  }
+
+  // Everything else is a task setting
+  const taskFields = { ...body };
+  ["name", "deadlineDays", "deadline", "status"].forEach((field) => delete taskFields[field]);
+  const input = existing ? { ...taskToInput(existing.task), ...taskFields } : taskFields;
+
+  const { fields, error } = await validateTaskInput(db, input);
+  if (error) {
+    return { error };
+  }
+
+  const task = { ...fields };
+  delete task.deadline;
+  return { template: { name: name.trim(), deadlineDays, task } };
+};
+
+const findOwnTemplate = (db, id, user) =>
+  db.collection("task_templates").findOne({ _id: new ObjectId(id), buyer: user._id });
+
+// Get own templates
+router.get("/", async (req, res) => {
+  try {
+    const db = getDb();
+    const templates = await db
+      .collection("task_templates")
+      .find({ buyer: req.user._id })
+      .sort({ updatedAt: -1 })
+      .toArray();
+
+    res.json({
+      success: true,
+      count: templates.length,
+      templates,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch templates. Please try again.",
+    });
+  }
+});
+
+// Get single template
+router.get("/:id", async (req, res) => {
+  try {
+    if (!ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid template ID format",
+      });
+    }
+
+    const template = await findOwnTemplate(getDb(), req.params.id, req.user);
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: "Template not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      template,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch template. Please try again.",
+    });
+  }
+});
+
+// Save a template, from scratch or from one of own tasks via `fromTask`
+router.post("/", async (req, res) => {
+  try {
+    const { fromTask, ...body } = req.body;
+    const db = getDb();
+    let existing = null;
+
+    if (fromTask !== undefined) {
+      if (!ObjectId.isValid(fromTask)) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid task ID format",
+        });
+      }
+
+      const task = await db.collection("tasks").findOne({
+        _id: new ObjectId(fromTask),
+        buyer: req.user._id,
+      });
+
+      if (!task) {
+        return res.status(404).json({
+          success: false,
+          message: "Task not found",
+        });
+      }
+
+      // Start from the task's settings, keeping its running time
+      existing = {
+        name: task.title.slice(0, 100),
+        deadlineDays: task.deadline && task.createdAt
+          ? Math.min(365, Math.max(1, Math.round((task.deadline - task.createdAt) / (24 * 60 * 60 * 1000))))
+          : null,
+        task,
+      };
+    }
+
+    const { template, error } = await validateTemplate(db, body, existing);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error,
+      });
+    }
+
+    const newTemplate = {
+      ...template,
+      buyer: req.user._id,
+      usedCount: 0,
+      lastUsedAt: null,
+      createdAt: new Date(),
+      updatedAt: new Date(),
+    };
+
+    await db.collection("task_templates").insertOne(newTemplate);
+
+    res.status(201).json({
+      success: true,
+      template: newTemplate,
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: "You already have a template with this name",
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: "Failed to create template. Please try again.",
+    });
+  }
+});
+
+// Update template
+router.patch("/:id", async (req, res) => {
+  try {
+    if (!ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid template ID format",
+      });
+    }
+
+    const db = getDb();
+    const existing = await findOwnTemplate(db, req.params.id, req.user);
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: "Template not found",
+      });
+    }
+
+    const { template, error } = await validateTemplate(db, req.body, existing);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error,
+      });
+    }
+
+    const result = await db.collection("task_templates").findOneAndUpdate(
+      { _id: existing._id },
+      { $set: { ...template, updatedAt: new Date() } },
+      { returnDocument: "after" }
+    );
+
+    res.json({
+      success: true,
+      template: result,
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: "You already have a template with this name",
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: "Failed to update template. Please try again.",
+    });
+  }
+});
+
+// Delete template
+router.delete("/:id", async (req, res) => {
+  try {
+    if (!ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid template ID format",
+      });
+    }
+
+    const db = getDb();
+    const result = await db.collection("task_templates").deleteOne({
+      _id: new ObjectId(req.params.id),
+      buyer: req.user._id,
+    });
+
+    if (result.deletedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        message: "Template not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Template deleted successfully",
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Failed to delete template. Please try again.",
+    });
+  }
+});
+
+// Create a task from a template, with optional overrides
+router.post("/:id/tasks", idempotent, async (req, res) => {
+  try {
+    if (!ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid template ID format",
+      });
+    }
+
+    const db = getDb();
+    const template = await findOwnTemplate(db, req.params.id, req.user);
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: "Template not found",
+      });
+    }
+
+    const { status, ...overrides } = req.body;
+    const initialStatus = status || "active";
+    if (!["draft", "active"].includes(initialStatus)) {
+      return res.status(400).json({
+        success: false,
+        message: "Status must be 'draft' or 'active'",
+      });
+    }
+
+    const input = { ...taskToInput(template.task), ...overrides };
+    if (overrides.deadline === undefined && template.deadlineDays) {
+      input.deadline = new Date(Date.now() + template.deadlineDays * 24 * 60 * 60 * 1000);
+    }
+
+    const { fields, error } = await validateTaskInput(db, input);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error,
+      });
+    }
+
+    let newTask;
+    try {
+      newTask = await createFundedTask(db, {
+        buyerId: req.user._id,
+        fields,
+        status: initialStatus,
+        actor: req.user._id,
+        extra: { template: template._id },
+      });
+    } catch (error) {
+      if (error instanceof InsufficientCoinsError) {
+        return res.status(400).json({
+          success: false,
+          message: `Insufficient coins. You need ${error.required} coins but have ${error.available}`,
+          insufficientCoins: true,
+          required: error.required,
+          available: error.available,
+        });
+      }
+      throw error;
+    }
+
+    await db.collection("task_templates").updateOne(
+      { _id: template._id },
+      { $inc: { usedCount: 1 }, $set: { lastUsedAt: new Date() } }
+    );
+
+    res.status(201).json({
+      success: true,
+      task: newTask,
+    });
+  } catch (error) {
+    console.error("Task from template error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to create task from template. Please try again.",
+    });
+  }
+});
+
+module.exports = router;
@@ -1,18 +1,105 @@
 const express = require("express");
 const { ObjectId } = require("mongodb");
-const { getDb } = require("../config/db");
-const { protect, restrictTo } = require("../middleware/auth");
+const { getDb, withTransaction } = require("../config/db");
+const { protect, optionalAuth, restrictTo } = require("../middleware/auth");
+const { idempotent } = require("../middleware/idempotency");
+const { uploadAttachments } = require("../middleware/upload");
+const { adjustCoins, InsufficientCoinsError } = require("../utils/ledger");
+const { ESCROW_DISPOSITIONS, topUpEscrow, settleEscrow } = require("../utils/escrow");
+const { getPlatformFee, buildTaskFee, slotCost, quoteTask } = require("../utils/fees");
+const { VersionConflictError } = require("../utils/pricing");
+const { TASK_TRANSITIONS, transitionTask, closeTask } = require("../utils/taskLifecycle");
+const {
+  parseTaskFilters,
+  parseTaskSort,
+  INDEXED_SORTS,
+  sortValueExpression,
+  keysetFilter,
+  encodeCursor,
+  decodeCursor,
+  highlightTask,
+} = require("../utils/taskSearch");
+const { categoryFilter } = require("../utils/categories");
+const { validateFormDefinition } = require("../utils/submissionForm");
+const { parseSubmissionLimits } = require("../utils/submissionLimits");
+const { parseReviewWindow, parseMaxRevisions } = require("../utils/review");
+const {
+  validateEligibility,
+  getWorkerStats,
+  checkEligibility,
+  eligibilityFilter,
+  hideWorkerLists,
+} = require("../utils/eligibility");
+const {
+  parseRewardAndQuantity,
+  parseDeadline,
+  validateTaskInput,
+  taskToInput,
+  createFundedTask,
+} = require("../utils/taskInput");
+const {
+  MAX_ATTACHMENTS,
+  validateFiles,
+  storeFiles,
+  deleteStoredFiles,
+  deleteFiles,
+} = require("../utils/attachments");
 
 const router = express.Router();
 
-// Get all tasks (with filters)
-router.get("/", async (req, res) => {
+// Only the task's buyer and admins see which workers are invited or blocked
+const showTaskTo = (user) => (task) => {
+  const buyerId = task.buyer?._id || task.buyer;
+  const isOwner = user && buyerId && buyerId.toString() === user._id.toString();
+  return isOwner || user?.role === "Admin" ? task : hideWorkerLists(task);
+};
+
+// Get all tasks (with filters, keyword search and sorting)
+router.get("/", optionalAuth, async (req, res) => {
   try {
-    const { status, category, buyer, page = 1, limit = 10 } = req.query;
-    const query = {};
+    const { status, buyer, q, page = 1, limit = 10 } = req.query;
+    const search = typeof q === "string" ? q.trim().slice(0, 200) : "";
+
+    const { filter, error: filterError } = parseTaskFilters(req.query);
+    if (filterError) {
+      return res.status(400).json({
+        success: false,
+        message: filterError,
+      });
+    }
+
+    // Keyword searches sort by relevance unless asked otherwise
+    const { sort, error: sortError } = parseTaskSort(
+      { sort: req.query.sort || (search ? "relevance" : "newest"), order: req.query.order },
+      { hasSearch: Boolean(search) }
+    );
+    if (sortError) {
+      return res.status(400).json({
+        success: false,
+        message: sortError,
+      });
+    }
+
+    const db = getDb();
+
+    // A parent category also lists the tasks in its subcategories
+    if (filter.category) {
+      filter.category = await categoryFilter(db, filter.category);
+    }
+
+    // $text has to be part of the first $match stage
+    const query = search ? { $text: { $search: search }, ...filter } : { ...filter };
 
-    if (status) query.status = status;
-    if (category) query.category = category;
+    // Drafts only show up in a buyer's own listing or when asked for.
+    // SECURITY FIX: Only their buyer and admins ever see them.
+    const seesDrafts = req.user?.role === "Admin" || (Boolean(buyer) && req.user?._id.toString() === buyer);
+    const statusFilter = status ? { $eq: status } : {};
+    if ((!status && !buyer) || !seesDrafts) {
+      statusFilter.$ne = "draft";
+    }
+    if (Object.keys(statusFilter).length > 0) {
+      query.status = statusFilter;
+    }
     if (buyer) {
       // Validate ObjectId format
       if (!ObjectId.isValid(buyer)) {
@@ -24,13 +111,18 @@ router.get("/", async (req, res) => {
       query.buyer = new ObjectId(buyer);
     }
 
-    const db = getDb();
     const skip = (parseInt(page) - 1) * parseInt(limit);
 
     // Get tasks with buyer info using aggregation
     const tasks = await db.collection("tasks").aggregate([
       { $match: query },
-      { $sort: { createdAt: -1 } },
+      {
+        $addFields: {
+          remainingSlots: { $max: [0, { $subtract: ["$quantity", "$completedCount"] }] },
+          ...(search && { score: { $meta: "textScore" } }),
+        }
+      },
+      { $sort: sort },
       { $skip: skip },
       { $limit: parseInt(limit) },
       {
@@ -59,6 +151,13 @@ router.get("/", async (req, res) => {
       { $project: { buyerInfo: 0 } }
     ]).toArray();
 
+    if (search) {
+      tasks.forEach((task) => {
+        task.highlights = highlightTask(task, search);
+      });
+    }
+    tasks.forEach(showTaskTo(req.user));
+
     const total = await db.collection("tasks").countDocuments(query);
 
     res.json({
@@ -76,28 +175,102 @@ router.get("/", async (req, res) => {
   }
 });
 
-// Get available tasks for workers
-router.get("/available", async (req, res) => {
+// Get available tasks for workers (cursor-paginated). Signed-in workers see
+// whether they're eligible for each task, or only eligible ones with ?eligibleOnly=true.
+router.get("/available", optionalAuth, async (req, res) => {
   try {
+    const { cursor } = req.query;
+    const limitNum = Math.min(100, Math.max(1, parseInt(req.query.limit) || 20));
+
+    const { filter, error: filterError } = parseTaskFilters(req.query);
+    if (filterError) {
+      return res.status(400).json({
+        success: false,
+        message: filterError,
+      });
+    }
+
+    const { field, direction, error: sortError } = parseTaskSort(req.query);
+    if (sortError) {
+      return res.status(400).json({
+        success: false,
+        message: sortError,
+      });
+    }
+
+    let after = null;
+    if (cursor) {
+      after = typeof cursor === "string" ? decodeCursor(cursor, field) : null;
+      if (!after) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid cursor",
+        });
+      }
+    }
+
     const db = getDb();
     const now = new Date();
 
     // Find tasks where:
     // - status is active
-    // - quantity > completedCount (workers still needed)
+    // - quantity > completedCount + reservedCount (slots not yet taken by
+    //   approvals, active claims or pending submissions)
     // - deadline hasn't passed (or no deadline)
+    const openSlots = {
+      $max: [
+        0,
+        {
+          $subtract: [
+            "$quantity",
+            { $add: ["$completedCount", { $ifNull: ["$reservedCount", 0] }] },
+          ],
+        },
+      ],
+    };
+    const openTasks = {
+      status: "active",
+      $expr: { $gt: [openSlots, 0] },
+      $or: [
+        { deadline: null },
+        { deadline: { $gt: now } }
+      ]
+    };
+
+    const stats = req.user?.role === "Worker" ? await getWorkerStats(db, req.user) : null;
+    const eligibleOnly = stats && req.query.eligibleOnly === "true";
+
+    const { category, ...rangeFilter } = filter;
+    const baseMatch = {
+      ...openTasks,
+      ...rangeFilter,
+      ...(eligibleOnly && eligibilityFilter(stats)),
+    };
+    const match = category
+      ? { ...baseMatch, category: await categoryFilter(db, category) }
+      : baseMatch;
+
+    // SAFETY CHECK: Page on stored fields before anything is computed, so
+    // newest and reward sorts run straight off their indexes
+    const pageMatch = after ? { $and: [match, keysetFilter(field, direction, after)] } : match;
+    const indexedSort = INDEXED_SORTS.includes(field);
+    const sortStages = indexedSort
+      ? [{ $sort: { [field]: direction, _id: direction } }]
+      : [
+          { $addFields: { sortValue: sortValueExpression(field) } },
+          { $sort: { sortValue: direction, _id: direction } },
+        ];
+
     const tasks = await db.collection("tasks").aggregate([
+      { $match: pageMatch },
+      ...sortStages,
+      { $limit: limitNum + 1 },
       {
-        $match: {
-          status: "active",
-          $expr: { $gt: ["$quantity", "$completedCount"] },
-          $or: [
-            { deadline: null },
-            { deadline: { $gt: now } }
-          ]
+        $addFields: {
+          requiredWorkers: openSlots,
+          remainingSlots: { $subtract: ["$quantity", "$completedCount"] },
         }
       },
-      { $sort: { createdAt: -1 } },
       {
         $lookup: {
           from: "users",
@@ -118,17 +291,46 @@ router.get("/available", async (req, res) => {
                 image: "$$buyerData.image"
               }
             }
-          },
-          requiredWorkers: { $subtract: ["$quantity", "$completedCount"] }
+          }
         }
       },
       { $project: { buyerInfo: 0 } }
     ]).toArray();
 
+    // One extra task was fetched to tell whether another page exists
+    const hasMore = tasks.length > limitNum;
+    if (hasMore) tasks.pop();
+
+    const last = tasks[tasks.length - 1];
+    const nextCursor = hasMore
+      ? encodeCursor(indexedSort ? last[field] : last.sortValue, last._id)
+      : null;
+    tasks.forEach((task) => {
+      delete task.sortValue;
+      if (stats) {
+        const { eligible, reasons } = checkEligibility(task, stats);
+        task.eligible = eligible;
+        task.ineligibleReasons = reasons;
+      }
+      hideWorkerLists(task);
+    });
+
+    // Category counts ignore the selected category so every facet stays visible
+    const categoryCounts = await db.collection("tasks").aggregate([
+      { $match: baseMatch },
+      { $group: { _id: "$category", count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } }
+    ]).toArray();
+
     res.json({
       success: true,
       count: tasks.length,
+      hasMore,
+      nextCursor,
       tasks,
+      facets: {
+        categories: categoryCounts.map((c) => ({ category: c._id || "", count: c.count })),
+      },
     });
   } catch (error) {
     res.status(500).json({
@@ -138,8 +340,31 @@ router.get("/available", async (req, res) => {
   }
 });
 
+// Get cost breakdown for a task before creating it
+router.get("/quote", async (req, res) => {
+  try {
+    const { rewardNum, quantityNum, error } = parseRewardAndQuantity(req.query.reward, req.query.quantity);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error,
+      });
+    }
+
+    res.json({
+      success: true,
+      quote: quoteTask(getPlatformFee(), rewardNum, quantityNum),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Failed to calculate task quote. Please try again.",
+    });
+  }
+});
+
 // Get single task
-router.get("/:id", async (req, res) => {
+router.get("/:id", optionalAuth, async (req, res) => {
   try {
     // Validate ObjectId format
     if (!ObjectId.isValid(req.params.id)) {
@@ -179,16 +404,29 @@ router.get("/:id", async (req, res) => {
       { $project: { buyerInfo: 0 } }
     ]).toArray();
 
-    if (tasks.length === 0) {
+    // SECURITY FIX: A draft is only visible to its buyer and admins
+    const isDraftHidden = (task) =>
+      task.status === "draft" &&
+      req.user?.role !== "Admin" &&
+      (!req.user || task.buyer._id?.toString() !== req.user._id.toString());
+
+    if (tasks.length === 0 || isDraftHidden(tasks[0])) {
       return res.status(404).json({
         success: false,
         message: "Task not found",
       });
     }
 
+    const task = tasks[0];
+    if (req.user?.role === "Worker") {
+      const { eligible, reasons } = checkEligibility(task, await getWorkerStats(db, req.user));
+      task.eligible = eligible;
+      task.ineligibleReasons = reasons;
+    }
+
     res.json({
       success: true,
-      task: tasks[0],
+      task: showTaskTo(req.user)(task),
     });
   } catch (error) {
     res.status(500).json({
@@ -198,158 +436,567 @@ router.get("/:id", async (req, res) => {
   }
 });
 
-// Create task (Buyer only)
-router.post("/", protect, restrictTo("Buyer", "Admin"), async (req, res) => {
+// Get escrow history for a task (Owner or Admin)
+router.get("/:id/escrow", protect, async (req, res) => {
   try {
-    const { title, description, category, reward, quantity, requirements, submissionInfo, deadline, imageUrl } = req.body;
+    // Validate ObjectId format
+    if (!ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid task ID format",
+      });
+    }
+
+    const db = getDb();
+    const taskId = new ObjectId(req.params.id);
+
+    // Events outlive the task, so ownership is checked against them
+    const events = await db
+      .collection("escrow_events")
+      .find({ task: taskId })
+      .sort({ createdAt: 1 })
+      .toArray();
+
+    if (events.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: "No escrow history found for this task",
+      });
+    }
+
+    if (events[0].buyer.toString() !== req.user._id.toString() && req.user.role !== "Admin") {
+      return res.status(403).json({
+        success: false,
+        message: "Not authorized to view this task's escrow",
+      });
+    }
+
+    const task = await db
+      .collection("tasks")
+      .findOne({ _id: taskId }, { projection: { escrow: 1 } });
+
+    res.json({
+      success: true,
+      escrow: task ? task.escrow : 0,
+      events,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch escrow history. Please try again.",
+    });
+  }
+});
 
-    // Validate required fields
-    if (!title || !description || !reward || !quantity) {
+// Create task (Buyer only)
+router.post("/", protect, restrictTo("Buyer", "Admin"), idempotent, async (req, res) => {
+  try {
+    // Tasks start active unless saved as a draft to publish later
+    const initialStatus = req.body.status || "active";
+    if (!["draft", "active"].includes(initialStatus)) {
       return res.status(400).json({
         success: false,
-        message: "Title, description, reward, and quantity are required",
+        message: "Status must be 'draft' or 'active'",
       });
     }
 
-    // VALIDATION FIX: Validate title and description length
-    if (title.trim().length < 3 || title.trim().length > 200) {
+    const db = getDb();
+    const { fields, error } = await validateTaskInput(db, req.body);
+    if (error) {
       return res.status(400).json({
         success: false,
-        message: "Title must be between 3 and 200 characters",
+        message: error,
       });
     }
 
-    if (description.trim().length < 10 || description.trim().length > 2000) {
+    let newTask;
+    try {
+      newTask = await createFundedTask(db, {
+        buyerId: req.user._id,
+        fields,
+        status: initialStatus,
+        actor: req.user._id,
+      });
+    } catch (error) {
+      if (error instanceof InsufficientCoinsError) {
+        return res.status(400).json({
+          success: false,
+          message: `Insufficient coins. You need ${error.required} coins but have ${error.available}`,
+          insufficientCoins: true,
+          required: error.required,
+          available: error.available,
+        });
+      }
+      throw error;
+    }
+
+    res.status(201).json({
+      success: true,
+      task: newTask,
+    });
+  } catch (error) {
+    console.error("Task creation error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to create task. Please try again.",
+    });
+  }
+});
+
+// Update task (Owner or Admin)
+router.patch("/:id", protect, async (req, res) => {
+  try {
+    // Validate ObjectId format
+    if (!ObjectId.isValid(req.params.id)) {
       return res.status(400).json({
         success: false,
-        message: "Description must be between 10 and 2000 characters",
+        message: "Invalid task ID format",
+      });
+    }
+
+    const db = getDb();
+    const task = await db.collection("tasks").findOne({ 
+      _id: new ObjectId(req.params.id) 
+    });
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: "Task not found",
       });
     }
 
-    // VALIDATION FIX: Validate numeric inputs properly
-    const rewardNum = parseInt(reward);
-    const quantityNum = parseInt(quantity);
+    // SAFETY CHECK: Validate ownership - buyer can only update their own tasks
+    if (task.buyer.toString() !== req.user._id.toString() && req.user.role !== "Admin") {
+      return res.status(403).json({
+        success: false,
+        message: "Not authorized to update this task. You can only update your own tasks.",
+      });
+    }
 
-    if (isNaN(rewardNum) || rewardNum <= 0 || rewardNum > 1000) {
+    // SAFETY CHECK: Prevent update if task is completed or closed
+    if (task.completedCount >= task.quantity || TASK_TRANSITIONS[task.status]?.length === 0) {
       return res.status(400).json({
         success: false,
-        message: "Reward must be a positive number between 1 and 1000 coins",
+        message: `Cannot update a ${task.status} task`,
       });
     }
 
-    if (isNaN(quantityNum) || quantityNum <= 0 || quantityNum > 1000) {
+    // Only allow specific fields to be updated
+    const allowedUpdates = ["title", "description", "submissionInfo"];
+    const updates = {};
+
+    allowedUpdates.forEach((field) => {
+      if (req.body[field] !== undefined) {
+        updates[field] = req.body[field];
+      }
+    });
+
+    // The form can only change before anyone has answered it
+    if (req.body.submissionForm !== undefined) {
+      const { form, error: formError } = validateFormDefinition(req.body.submissionForm || []);
+      if (formError) {
+        return res.status(400).json({
+          success: false,
+          message: formError,
+        });
+      }
+
+      const submissionCount = await db.collection("submissions").countDocuments({ task: task._id });
+      if (submissionCount > 0) {
+        return res.status(400).json({
+          success: false,
+          message: "The submission form cannot be changed once workers have submitted",
+        });
+      }
+      updates.submissionForm = form;
+    }
+
+    // New eligibility rules apply to submissions from now on
+    if (req.body.eligibility !== undefined) {
+      const { eligibility, error: eligibilityError } = validateEligibility(req.body.eligibility);
+      if (eligibilityError) {
+        return res.status(400).json({
+          success: false,
+          message: eligibilityError,
+        });
+      }
+      updates.eligibility = eligibility;
+    }
+
+    // Lowering the limit doesn't remove submissions already made; it only
+    // stops workers who are now at or over it from submitting again
+    const { limits, error: limitsError } = parseSubmissionLimits(req.body);
+    if (limitsError) {
       return res.status(400).json({
         success: false,
-        message: "Quantity must be a positive number between 1 and 1000",
+        message: limitsError,
       });
     }
+    Object.assign(updates, limits);
 
-    // VALIDATION FIX: Prevent task creation with past deadline
-    let deadlineDate = null;
-    if (deadline) {
-      deadlineDate = new Date(deadline);
-      const now = new Date();
-      
-      if (isNaN(deadlineDate.getTime())) {
+    // A new review window applies to submissions made from now on
+    if (req.body.reviewWindowHours !== undefined) {
+      const { hours, error: reviewWindowError } = parseReviewWindow(req.body.reviewWindowHours);
+      if (reviewWindowError) {
         return res.status(400).json({
           success: false,
-          message: "Invalid deadline format",
+          message: reviewWindowError,
         });
       }
+      updates.reviewWindowHours = hours;
+    }
 
-      if (deadlineDate <= now) {
+    // A lower cap stops further revision requests on submissions already past it
+    if (req.body.maxRevisions !== undefined) {
+      const { maxRevisions, error: maxRevisionsError } = parseMaxRevisions(req.body.maxRevisions);
+      if (maxRevisionsError) {
         return res.status(400).json({
           success: false,
-          message: "Deadline must be in the future",
+          message: maxRevisionsError,
         });
       }
+      updates.maxRevisions = maxRevisions;
+    }
+
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "No valid fields to update. Allowed fields: title, description, submissionInfo, submissionForm, eligibility, maxSubmissionsPerWorker, allowResubmission, reviewWindowHours, maxRevisions",
+      });
+    }
+
+    const result = await db.collection("tasks").findOneAndUpdate(
+      { _id: new ObjectId(req.params.id) },
+      { $set: updates },
+      { returnDocument: "after" }
+    );
+
+    res.json({
+      success: true,
+      task: result,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Failed to update task. Please try again.",
+    });
+  }
+});
+
+// Create a new task from an existing one, with optional overrides (Owner or Admin).
+// The new task is funded from the caller's coins like any other task.
+router.post("/:id/clone", protect, restrictTo("Buyer", "Admin"), idempotent, async (req, res) => {
+  try {
+    if (!ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid task ID format",
+      });
+    }
+
+    const db = getDb();
+    const source = await db.collection("tasks").findOne({
+      _id: new ObjectId(req.params.id)
+    });
+
+    if (!source) {
+      return res.status(404).json({
+        success: false,
+        message: "Task not found",
+      });
+    }
+
+    if (source.buyer.toString() !== req.user._id.toString() && req.user.role !== "Admin") {
+      return res.status(403).json({
+        success: false,
+        message: "Not authorized to clone this task. You can only clone your own tasks.",
+      });
+    }
+
+    const { status, ...overrides } = req.body;
+    const initialStatus = status || "active";
+    if (!["draft", "active"].includes(initialStatus)) {
+      return res.status(400).json({
+        success: false,
+        message: "Status must be 'draft' or 'active'",
+      });
+    }
 
-      // Ensure deadline is not too far in the future (max 1 year)
-      const oneYearFromNow = new Date();
-      oneYearFromNow.setFullYear(oneYearFromNow.getFullYear() + 1);
-      
-      if (deadlineDate > oneYearFromNow) {
+    // Without a new deadline, the clone gets as long to run as the original had
+    const input = { ...taskToInput(source), ...overrides };
+    if (overrides.deadline === undefined && source.deadline && source.createdAt) {
+      input.deadline = new Date(Date.now() + (source.deadline - source.createdAt));
+    }
+
+    const { fields, error } = await validateTaskInput(db, input);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error,
+      });
+    }
+
+    let newTask;
+    try {
+      newTask = await createFundedTask(db, {
+        buyerId: req.user._id,
+        fields,
+        status: initialStatus,
+        actor: req.user._id,
+        extra: { clonedFrom: source._id },
+      });
+    } catch (error) {
+      if (error instanceof InsufficientCoinsError) {
         return res.status(400).json({
           success: false,
-          message: "Deadline cannot be more than 1 year in the future",
+          message: `Insufficient coins. You need ${error.required} coins but have ${error.available}`,
+          insufficientCoins: true,
+          required: error.required,
+          available: error.available,
         });
       }
+      throw error;
+    }
+
+    res.status(201).json({
+      success: true,
+      task: newTask,
+    });
+  } catch (error) {
+    console.error("Task clone error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to clone task. Please try again.",
+    });
+  }
+});
+
+// Add slots, raise the reward, or extend the deadline of a live task (Owner or Admin).
+// The buyer is charged whatever the remaining slots now cost beyond the escrow held.
+router.post("/:id/top-up", protect, idempotent, async (req, res) => {
+  try {
+    if (!ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid task ID format",
+      });
     }
 
-    const totalCost = rewardNum * quantityNum;
+    const { quantity, reward, deadline } = req.body;
+
+    if (quantity === undefined && reward === undefined && deadline === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: "Provide at least one of: quantity, reward, deadline",
+      });
+    }
 
-    // Get fresh user data to check current coin balance
     const db = getDb();
-    const currentUser = await db.collection("users").findOne({ _id: req.user._id });
+    const task = await db.collection("tasks").findOne({
+      _id: new ObjectId(req.params.id)
+    });
 
-    if (!currentUser) {
+    if (!task) {
       return res.status(404).json({
         success: false,
-        message: "User not found",
+        message: "Task not found",
       });
     }
 
-    // SAFETY CHECK: Prevent negative coin balance
-    if (currentUser.coin < totalCost) {
+    // SAFETY CHECK: Validate ownership - buyer can only top up their own tasks
+    if (task.buyer.toString() !== req.user._id.toString() && req.user.role !== "Admin") {
+      return res.status(403).json({
+        success: false,
+        message: "Not authorized to update this task. You can only update your own tasks.",
+      });
+    }
+
+    if (TASK_TRANSITIONS[task.status]?.length === 0) {
       return res.status(400).json({
         success: false,
-        message: `Insufficient coins. You need ${totalCost} coins but have ${currentUser.coin}`,
-        insufficientCoins: true,
-        required: totalCost,
-        available: currentUser.coin,
+        message: `Cannot top up a ${task.status} task`,
       });
     }
 
-    // SAFETY CHECK: Use atomic operation to prevent race conditions
-    const updateResult = await db.collection("users").updateOne(
-      { 
-        _id: req.user._id,
-        coin: { $gte: totalCost } // Only deduct if sufficient balance
-      },
-      { $inc: { coin: -totalCost } }
+    // Legacy tasks were funded before escrow was recorded, so their funding
+    // is derived from reward and quantity and can't change
+    const funding = await db.collection("escrow_events").findOne({ task: task._id, type: "funded" });
+    if (!funding) {
+      return res.status(400).json({
+        success: false,
+        message: "This task was created before escrow tracking and can't be topped up",
+      });
+    }
+
+    // VALIDATION FIX: New values go through the same checks as task creation
+    const { rewardNum, quantityNum, error: numericError } = parseRewardAndQuantity(
+      reward !== undefined ? reward : task.reward,
+      quantity !== undefined ? quantity : task.quantity
     );
+    if (numericError) {
+      return res.status(400).json({
+        success: false,
+        message: numericError,
+      });
+    }
+
+    if (quantity !== undefined && quantityNum <= task.quantity) {
+      return res.status(400).json({
+        success: false,
+        message: `Quantity can only be increased (currently ${task.quantity})`,
+      });
+    }
+
+    if (reward !== undefined && rewardNum <= task.reward) {
+      return res.status(400).json({
+        success: false,
+        message: `Reward can only be raised (currently ${task.reward})`,
+      });
+    }
+
+    const updates = { reward: rewardNum, quantity: quantityNum };
+
+    if (deadline !== undefined) {
+      const { deadlineDate, error: deadlineError } = parseDeadline(deadline);
+      if (deadlineError || !deadlineDate) {
+        return res.status(400).json({
+          success: false,
+          message: deadlineError || "Deadline is required",
+        });
+      }
+
+      if (!task.deadline) {
+        return res.status(400).json({
+          success: false,
+          message: "Task has no deadline to extend",
+        });
+      }
+
+      if (deadlineDate <= task.deadline) {
+        return res.status(400).json({
+          success: false,
+          message: "New deadline must be later than the current deadline",
+        });
+      }
+      updates.deadline = deadlineDate;
+    }
+
+    // A raised reward applies to every approval from now on, including
+    // submissions already waiting for review
+    if (rewardNum !== task.reward && task.platformFee) {
+      updates.platformFee = buildTaskFee(task.platformFee, rewardNum);
+    }
+
+    const remainingSlots = Math.max(0, quantityNum - task.completedCount);
+    const required = remainingSlots * slotCost({ ...task, ...updates });
+    const charge = Math.max(0, required - (task.escrow || 0));
 
-    if (updateResult.modifiedCount === 0) {
+    // SAFETY CHECK: Prevent negative coin balance
+    const currentUser = await db.collection("users").findOne({ _id: task.buyer });
+    if (!currentUser || currentUser.coin < charge) {
       return res.status(400).json({
         success: false,
-        message: "Insufficient coins or balance changed. Please try again.",
+        message: `Insufficient coins. You need ${charge} coins but have ${currentUser?.coin || 0}`,
         insufficientCoins: true,
+        required: charge,
+        available: currentUser?.coin || 0,
       });
     }
 
-    const newTask = {
-      title: title.trim(),
-      description: description.trim(),
-      buyer: req.user._id,
-      category: category ? category.trim() : "",
-      reward: rewardNum,
-      quantity: quantityNum,
-      completedCount: 0,
-      requirements: requirements ? requirements.trim() : "",
-      submissionInfo: submissionInfo ? submissionInfo.trim() : "",
-      imageUrl: imageUrl ? imageUrl.trim() : "",
-      deadline: deadlineDate,
-      status: "active",
-      createdAt: new Date(),
-    };
+    const changes = [];
+    if (quantityNum !== task.quantity) changes.push(`quantity ${task.quantity} -> ${quantityNum}`);
+    if (rewardNum !== task.reward) changes.push(`reward ${task.reward} -> ${rewardNum}`);
+    if (updates.deadline) changes.push("deadline extended");
+    const note = "Top-up: " + changes.join(", ");
 
-    const result = await db.collection("tasks").insertOne(newTask);
+    let result;
+    try {
+      result = await withTransaction(async (session) => {
+        // SAFETY CHECK: Apply only if no approval or other top-up got in first,
+        // since either would change what the charge should be
+        const updated = await db.collection("tasks").findOneAndUpdate(
+          {
+            _id: task._id,
+            status: task.status,
+            reward: task.reward,
+            quantity: task.quantity,
+            completedCount: task.completedCount,
+            escrow: task.escrow,
+          },
+          { $set: updates },
+          { session, returnDocument: "after" }
+        );
 
-    res.status(201).json({
+        if (!updated) {
+          throw new VersionConflictError();
+        }
+
+        if (charge > 0) {
+          await adjustCoins(db, session, {
+            userId: task.buyer,
+            delta: -charge,
+            reason: "task_funding",
+            task: task._id,
+            note,
+          });
+          updated.escrow = await topUpEscrow(db, session, {
+            task,
+            amount: charge,
+            actor: req.user._id,
+            note,
+          });
+        }
+
+        return updated;
+      });
+    } catch (error) {
+      if (error instanceof InsufficientCoinsError) {
+        return res.status(400).json({
+          success: false,
+          message: "Insufficient coins or balance changed. Please try again.",
+          insufficientCoins: true,
+        });
+      }
+      if (error instanceof VersionConflictError) {
+        return res.status(409).json({
+          success: false,
+          message: error.message,
+        });
+      }
+      throw error;
+    }
+
+    res.json({
       success: true,
-      task: { ...newTask, _id: result.insertedId },
+      message: note,
+      charged: charge,
+      task: result,
     });
   } catch (error) {
-    console.error("Task creation error:", error);
+    console.error("Task top-up error:", error);
     res.status(500).json({
       success: false,
-      message: "Failed to create task. Please try again.",
+      message: "Failed to top up task. Please try again.",
     });
   }
 });
 
-// Update task (Owner or Admin)
-router.patch("/:id", protect, async (req, res) => {
+// Status change endpoints: action -> target status
+const STATUS_ACTIONS = {
+  publish: "active",
+  pause: "paused",
+  resume: "active",
+  cancel: "cancelled",
+};
+
+// Change task status (Owner or Admin)
+router.post("/:id/:action", protect, async (req, res, next) => {
+  const to = STATUS_ACTIONS[req.params.action];
+  if (!to) {
+    return next();
+  }
+
   try {
     // Validate ObjectId format
     if (!ObjectId.isValid(req.params.id)) {
@@ -360,8 +1007,8 @@ router.patch("/:id", protect, async (req, res) => {
     }
 
     const db = getDb();
-    const task = await db.collection("tasks").findOne({ 
-      _id: new ObjectId(req.params.id) 
+    const task = await db.collection("tasks").findOne({
+      _id: new ObjectId(req.params.id)
     });
 
     if (!task) {
@@ -371,53 +1018,201 @@ router.patch("/:id", protect, async (req, res) => {
       });
     }
 
-    // SAFETY CHECK: Validate ownership - buyer can only update their own tasks
+    // SAFETY CHECK: Validate ownership - buyer can only change their own tasks
     if (task.buyer.toString() !== req.user._id.toString() && req.user.role !== "Admin") {
       return res.status(403).json({
         success: false,
-        message: "Not authorized to update this task. You can only update your own tasks.",
+        message: "Not authorized to change this task. You can only change your own tasks.",
       });
     }
 
-    // SAFETY CHECK: Prevent update if task is completed
-    if (task.completedCount >= task.quantity) {
+    // publish only applies to drafts and resume only to paused tasks
+    const expectedFrom = { publish: "draft", resume: "paused" }[req.params.action];
+    if ((expectedFrom && task.status !== expectedFrom) || !TASK_TRANSITIONS[task.status]?.includes(to)) {
       return res.status(400).json({
         success: false,
-        message: "Cannot update a completed task",
+        message: `Cannot ${req.params.action} a task that is ${task.status}`,
+        currentStatus: task.status,
       });
     }
 
-    // Only allow specific fields to be updated
-    const allowedUpdates = ["title", "description", "submissionInfo"];
-    const updates = {};
+    // Tasks past their deadline can't be reopened
+    if (to === "active" && task.deadline && new Date(task.deadline) <= new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: "Task deadline has passed",
+      });
+    }
 
-    allowedUpdates.forEach((field) => {
-      if (req.body[field] !== undefined) {
-        updates[field] = req.body[field];
+    const note = typeof req.body?.note === "string" ? req.body.note.trim().slice(0, 500) : "";
+
+    const result = await withTransaction(async (session) => {
+      if (to === "cancelled") {
+        return closeTask(db, session, { task, to, actor: req.user._id, note });
       }
+      const updated = await transitionTask(db, session, { task, to, actor: req.user._id, note });
+      return updated && { task: updated };
     });
 
-    if (Object.keys(updates).length === 0) {
+    if (!result) {
+      return res.status(409).json({
+        success: false,
+        message: "Task status was changed by another request. Please reload and try again.",
+      });
+    }
+
+    res.json({
+      success: true,
+      task: result.task,
+      ...(to === "cancelled" && { refunded: result.refunded, reserved: result.reserved }),
+    });
+  } catch (error) {
+    console.error("Task status change error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to change task status. Please try again.",
+    });
+  }
+});
+
+// Attach reference files to a task (Owner or Admin)
+router.post("/:id/attachments", protect, uploadAttachments, async (req, res) => {
+  try {
+    if (!ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid task ID format",
+      });
+    }
+
+    if (req.files.length === 0) {
       return res.status(400).json({
         success: false,
-        message: "No valid fields to update. Allowed fields: title, description, submissionInfo",
+        message: "Upload at least one file in the 'attachments' field",
       });
     }
 
+    const db = getDb();
+    const task = await db.collection("tasks").findOne({
+      _id: new ObjectId(req.params.id)
+    });
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: "Task not found",
+      });
+    }
+
+    // SAFETY CHECK: Validate ownership
+    if (task.buyer.toString() !== req.user._id.toString() && req.user.role !== "Admin") {
+      return res.status(403).json({
+        success: false,
+        message: "Not authorized to update this task.",
+      });
+    }
+
+    const existing = task.attachments || [];
+    const { error: filesError } = validateFiles(req.files, existing.length);
+    if (filesError) {
+      return res.status(400).json({
+        success: false,
+        message: filesError,
+      });
+    }
+
+    const stored = await storeFiles(db, req.files, {
+      task: task._id,
+      uploadedBy: req.user._id,
+    });
+
+    // SAFETY CHECK: Re-check the count in the update so parallel uploads
+    // can't push a task past the limit
     const result = await db.collection("tasks").findOneAndUpdate(
-      { _id: new ObjectId(req.params.id) },
-      { $set: updates },
+      {
+        _id: task._id,
+        $expr: {
+          $lte: [{ $size: { $ifNull: ["$attachments", []] } }, MAX_ATTACHMENTS - stored.length],
+        },
+      },
+      { $push: { attachments: { $each: stored } } },
       { returnDocument: "after" }
     );
 
+    if (!result) {
+      await deleteStoredFiles(db, stored);
+      return res.status(400).json({
+        success: false,
+        message: `At most ${MAX_ATTACHMENTS} files can be attached`,
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      attachments: result.attachments,
+    });
+  } catch (error) {
+    console.error("Task attachment upload error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to upload files. Please try again.",
+    });
+  }
+});
+
+// Remove a file from a task (Owner or Admin)
+router.delete("/:id/attachments/:fileId", protect, async (req, res) => {
+  try {
+    if (!ObjectId.isValid(req.params.id) || !ObjectId.isValid(req.params.fileId)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid task or file ID format",
+      });
+    }
+
+    const db = getDb();
+    const task = await db.collection("tasks").findOne({
+      _id: new ObjectId(req.params.id)
+    });
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: "Task not found",
+      });
+    }
+
+    // SAFETY CHECK: Validate ownership
+    if (task.buyer.toString() !== req.user._id.toString() && req.user.role !== "Admin") {
+      return res.status(403).json({
+        success: false,
+        message: "Not authorized to update this task.",
+      });
+    }
+
+    const fileId = new ObjectId(req.params.fileId);
+    const result = await db.collection("tasks").updateOne(
+      { _id: task._id, "attachments._id": fileId },
+      { $pull: { attachments: { _id: fileId } } }
+    );
+
+    if (result.modifiedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        message: "File not found on this task",
+      });
+    }
+
+    await deleteStoredFiles(db, [{ _id: fileId }]);
+
     res.json({
       success: true,
-      task: result,
+      message: "File removed successfully",
     });
   } catch (error) {
     res.status(500).json({
       success: false,
-      message: "Failed to update task. Please try again.",
+      message: "Failed to remove file. Please try again.",
     });
   }
 });
@@ -461,51 +1256,62 @@ router.delete("/:id", protect, async (req, res) => {
       });
     }
 
-    // Admin override: Do NOT refund coins (as per requirement)
-    if (req.user.role === "Admin") {
-      // Delete the task without refunding
-      await db.collection("tasks").deleteOne({ _id: new ObjectId(req.params.id) });
+    const isAdmin = req.user.role === "Admin";
 
-      // Delete all related submissions (both pending and completed)
-      const deletedSubmissions = await db.collection("submissions").deleteMany({ 
-        task: new ObjectId(req.params.id)
+    // Buyers always get their remaining escrow back. Admins choose between
+    // refunding it and forfeiting it (the default admin override).
+    const disposition = isAdmin ? req.query.escrow || "forfeit" : "refund";
+    if (!ESCROW_DISPOSITIONS.includes(disposition)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid escrow option. Must be one of: " + ESCROW_DISPOSITIONS.join(", "),
       });
+    }
 
-      res.json({
-        success: true,
-        message: "Task deleted successfully (admin override)",
-        deletedSubmissions: deletedSubmissions.deletedCount,
-        refunded: 0, // No refund for admin deletion
+    const { settled, deletedSubmissions, removedIds } = await withTransaction(async (session) => {
+      const settled = await settleEscrow(db, session, {
+        task,
+        disposition,
+        actor: req.user._id,
+        note: isAdmin ? "Task deleted by admin" : "Task deleted by buyer",
       });
-    } else {
-      // Regular buyer deletion logic (with refund)
-      const remainingSlots = task.quantity - task.completedCount;
-      const refund = remainingSlots * task.reward;
-
-      // Refund coins to buyer
-      if (refund > 0) {
-        await db.collection("users").updateOne(
-          { _id: task.buyer },
-          { $inc: { coin: refund } }
-        );
-      }
 
       // Delete the task
-      await db.collection("tasks").deleteOne({ _id: new ObjectId(req.params.id) });
+      await db.collection("tasks").deleteOne({ _id: task._id }, { session });
 
-      // Delete only pending submissions for regular deletion
-      const deletedSubmissions = await db.collection("submissions").deleteMany({ 
-        task: new ObjectId(req.params.id),
-        status: "pending"
-      });
+      // Admins remove all unpaid submissions, buyers only pending ones.
+      // Approved submissions are kept as the record of coins paid out.
+      const submissionQuery = isAdmin
+        ? { task: task._id, status: { $ne: "approved" } }
+        : { task: task._id, status: { $in: ["pending", "revision_requested"] } };
+      const removed = await db
+        .collection("submissions")
+        .find(submissionQuery, { session, projection: { _id: 1 } })
+        .toArray();
+      const deletedSubmissions = await db
+        .collection("submissions")
+        .deleteMany(submissionQuery, { session });
 
-      res.json({
-        success: true,
-        message: "Task deleted successfully",
-        deletedSubmissions: deletedSubmissions.deletedCount,
-        refunded: refund,
-      });
-    }
+      await db.collection("claims").deleteMany({ task: task._id }, { session });
+      await db.collection("submission_quotas").deleteMany({ task: task._id }, { session });
+
+      return { settled, deletedSubmissions, removedIds: removed.map((s) => s._id) };
+    });
+
+    // Files go with the task and the deleted submissions; approved
+    // submissions keep theirs
+    await deleteFiles(db, { task: task._id, submission: null });
+    await deleteFiles(db, { submission: { $in: removedIds } });
+
+    res.json({
+      success: true,
+      message: isAdmin
+        ? "Task deleted successfully (admin override)"
+        : "Task deleted successfully",
+      deletedSubmissions: deletedSubmissions.deletedCount,
+      refunded: disposition === "refund" ? settled : 0,
+      forfeited: disposition === "forfeit" ? settled : 0,
+    });
   } catch (error) {
     res.status(500).json({
       success: false,
@@ -2,6 +2,8 @@ const express = require("express");
 const { ObjectId } = require("mongodb");
 const { getDb } = require("../config/db");
 const { protect, restrictTo } = require("../middleware/auth");
+const { reconcileBalances } = require("../utils/reconciliation");
+const { countAppeals } = require("../utils/appeals");
 
 const router = express.Router();
 
@@ -62,13 +64,22 @@ router.get("/admin/stats", protect, restrictTo("Admin"), async (req, res) => {
 
     const totalPayments = paymentsResult[0]?.total || 0;
 
+    // Platform revenue (sum of fees taken on approved submissions)
+    const revenueResult = await db.collection("submissions").aggregate([
+      { $match: { status: "approved" } },
+      { $group: { _id: null, total: { $sum: "$platformFee" } } }
+    ]).toArray();
+
+    const platformRevenue = revenueResult[0]?.total || 0;
+
     res.json({
       success: true,
       stats: {
         totalWorkers,
         totalBuyers,
         totalCoins,
-        totalPayments
+        totalPayments,
+        platformRevenue
       }
     });
   } catch (error) {
@@ -79,6 +90,61 @@ router.get("/admin/stats", protect, restrictTo("Admin"), async (req, res) => {
   }
 });
 
+// Reconcile coin balances against source records (Admin only)
+router.get("/admin/reconciliation", protect, restrictTo("Admin"), async (req, res) => {
+  try {
+    const db = getDb();
+    const report = await reconcileBalances(db);
+
+    res.json({
+      success: true,
+      report,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Failed to reconcile balances. Please try again.",
+    });
+  }
+});
+
+// Get stored reports from scheduled reconciliation runs (Admin only)
+router.get("/admin/reconciliation/reports", protect, restrictTo("Admin"), async (req, res) => {
+  try {
+    const { page = 1, limit = 10 } = req.query;
+    const db = getDb();
+
+    // Validate pagination params
+    const pageNum = Math.max(1, parseInt(page) || 1);
+    const limitNum = Math.min(100, Math.max(1, parseInt(limit) || 10));
+    const skip = (pageNum - 1) * limitNum;
+
+    const reports = await db
+      .collection("reconciliation_reports")
+      .find({})
+      .sort({ checkedAt: -1 })
+      .skip(skip)
+      .limit(limitNum)
+      .toArray();
+
+    const total = await db.collection("reconciliation_reports").countDocuments();
+
+    res.json({
+      success: true,
+      count: reports.length,
+      total,
+      pages: Math.ceil(total / limitNum),
+      currentPage: pageNum,
+      reports,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch reconciliation reports. Please try again.",
+    });
+  }
+});
+
 // Get worker stats - SAFETY: Only returns stats for the authenticated worker
 router.get(
   "/worker/stats",
@@ -111,12 +177,18 @@ router.get(
 
       const totalEarnings = earningsResult[0]?.total || 0;
 
+      // Appeals against buyers' rejections, by outcome
+      const appeals = await countAppeals(db, { worker: workerId });
+
       res.json({
         success: true,
         stats: {
           totalSubmissions,
           pendingSubmissions,
           totalEarnings,
+          appeals,
+          availableCoins: req.user.coin || 0,
+          heldCoins: req.user.heldCoin || 0,
         },
       });
     } catch (error) {
@@ -148,7 +220,9 @@ router.get(
       const totalTasks = tasks.length;
 
       // Pending tasks = sum of remaining workers needed (quantity - completedCount)
-      const pendingTasks = tasks.reduce((sum, task) => {
+      // on tasks that are still open
+      const openStatuses = ["draft", "active", "paused"];
+      const pendingTasks = tasks.filter((task) => openStatuses.includes(task.status)).reduce((sum, task) => {
         const remaining = (task.quantity || 0) - (task.completedCount || 0);
         return sum + Math.max(0, remaining); // Ensure non-negative
       }, 0);
@@ -158,12 +232,16 @@ router.get(
         return sum + (task.reward || 0) * (task.completedCount || 0);
       }, 0);
 
+      // Appeals workers made against this buyer's rejections, by outcome
+      const appealsAgainst = await countAppeals(db, { buyer: buyerId });
+
       res.json({
         success: true,
         stats: {
           totalTasks,
           pendingTasks,
           totalPaymentPaid,
+          appealsAgainst,
         },
       });
     } catch (error) {
@@ -1,10 +1,22 @@
 const express = require("express");
 const { ObjectId } = require("mongodb");
-const { getDb } = require("../config/db");
+const { getDb, withTransaction } = require("../config/db");
 const { protect, restrictTo } = require("../middleware/auth");
+const { idempotent } = require("../middleware/idempotency");
+const { adjustCoins, InsufficientCoinsError } = require("../utils/ledger");
+const {
+  PAYMENT_SYSTEMS,
+  VersionConflictError,
+  createVersion,
+  getExchangeRate,
+  coinsToUsd,
+} = require("../utils/pricing");
 
 const router = express.Router();
 
+const MIN_WITHDRAWAL_COINS = 200;
+const MAX_WITHDRAWAL_COINS = 10000;
+
 // Get withdrawals
 router.get("/", protect, async (req, res) => {
   try {
@@ -69,8 +81,117 @@ router.get("/", protect, async (req, res) => {
   }
 });
 
+// Get current payout exchange rates
+router.get("/rates", protect, async (req, res) => {
+  try {
+    const db = getDb();
+    const rates = await Promise.all(
+      PAYMENT_SYSTEMS.map((paymentSystem) => getExchangeRate(db, paymentSystem))
+    );
+
+    res.json({
+      success: true,
+      rates: rates.map((rate) => ({
+        paymentSystem: rate.paymentSystem,
+        coinsPerUsd: rate.coinsPerUsd,
+        version: rate.version,
+        updatedAt: rate.createdAt || null,
+      })),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch exchange rates. Please try again.",
+    });
+  }
+});
+
+// Get every version of a payout exchange rate (Admin only)
+router.get("/rates/:paymentSystem/history", protect, restrictTo("Admin"), async (req, res) => {
+  try {
+    const db = getDb();
+    const versions = await db
+      .collection("exchange_rates")
+      .find({ paymentSystem: req.params.paymentSystem })
+      .sort({ version: -1 })
+      .toArray();
+
+    res.json({
+      success: true,
+      versions,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch exchange rate history. Please try again.",
+    });
+  }
+});
+
+// Set payout exchange rate for a payment system (Admin only)
+router.put("/rates/:paymentSystem", protect, restrictTo("Admin"), async (req, res) => {
+  try {
+    const paymentSystem = req.params.paymentSystem.toLowerCase();
+
+    if (!PAYMENT_SYSTEMS.includes(paymentSystem)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid payment system. Must be one of: " + PAYMENT_SYSTEMS.join(", "),
+      });
+    }
+
+    // VALIDATION FIX: Validate numeric input properly
+    const coinsPerUsd = Number(req.body.coinsPerUsd);
+    if (isNaN(coinsPerUsd) || coinsPerUsd <= 0 || coinsPerUsd > 10000) {
+      return res.status(400).json({
+        success: false,
+        message: "Coins per USD must be a positive number up to 10,000",
+      });
+    }
+
+    const db = getDb();
+    const current = await db
+      .collection("exchange_rates")
+      .findOne({ paymentSystem, supersededAt: null });
+
+    // Each change is a new version so past withdrawals keep their rate
+    let rate;
+    if (current) {
+      rate = await withTransaction((session) =>
+        createVersion(db, session, "exchange_rates", current, { coinsPerUsd }, req.user._id)
+      );
+    } else {
+      rate = {
+        paymentSystem,
+        coinsPerUsd,
+        version: 1,
+        createdBy: req.user._id,
+        createdAt: new Date(),
+        supersededAt: null,
+      };
+      await db.collection("exchange_rates").insertOne(rate);
+    }
+
+    res.json({
+      success: true,
+      rate,
+    });
+  } catch (error) {
+    if (error instanceof VersionConflictError || error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: "This rate was changed by someone else. Please reload and try again.",
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: "Failed to update exchange rate. Please try again.",
+    });
+  }
+});
+
 // Create withdrawal request
-router.post("/", protect, async (req, res) => {
+router.post("/", protect, idempotent, async (req, res) => {
   try {
     const { amount, paymentMethod, paymentDetails } = req.body;
 
@@ -91,27 +212,32 @@ router.post("/", protect, async (req, res) => {
       });
     }
 
-    // VALIDATION FIX: Enhanced minimum/maximum validation
-    if (withdrawalAmount < 200) {
+    // VALIDATION FIX: Validate payment method
+    const paymentSystem = String(paymentMethod).toLowerCase();
+    if (!PAYMENT_SYSTEMS.includes(paymentSystem)) {
       return res.status(400).json({
         success: false,
-        message: "Minimum withdrawal is 200 coins ($10)",
+        message: "Invalid payment method. Must be one of: " + PAYMENT_SYSTEMS.join(", "),
       });
     }
 
-    if (withdrawalAmount > 10000) {
+    const db = getDb();
+
+    // Payouts are converted at the rate currently set for the payment system
+    const rate = await getExchangeRate(db, paymentSystem);
+
+    // VALIDATION FIX: Enhanced minimum/maximum validation
+    if (withdrawalAmount < MIN_WITHDRAWAL_COINS) {
       return res.status(400).json({
         success: false,
-        message: "Maximum withdrawal is 10,000 coins ($500) per request",
+        message: `Minimum withdrawal is ${MIN_WITHDRAWAL_COINS} coins ($${coinsToUsd(MIN_WITHDRAWAL_COINS, rate.coinsPerUsd)})`,
       });
     }
 
-    // VALIDATION FIX: Validate payment method
-    const validPaymentMethods = ["stripe", "bkash", "rocket", "nagad"];
-    if (!validPaymentMethods.includes(paymentMethod.toLowerCase())) {
+    if (withdrawalAmount > MAX_WITHDRAWAL_COINS) {
       return res.status(400).json({
         success: false,
-        message: "Invalid payment method. Must be one of: " + validPaymentMethods.join(", "),
+        message: `Maximum withdrawal is ${MAX_WITHDRAWAL_COINS.toLocaleString("en-US")} coins ($${coinsToUsd(MAX_WITHDRAWAL_COINS, rate.coinsPerUsd)}) per request`,
       });
     }
 
@@ -133,7 +259,6 @@ router.post("/", protect, async (req, res) => {
     }
 
     // SAFETY CHECK: Get fresh user data to prevent race conditions
-    const db = getDb();
     const currentUser = await db.collection("users").findOne({ _id: req.user._id });
     
     if (!currentUser) {
@@ -170,31 +295,55 @@ router.post("/", protect, async (req, res) => {
       });
     }
 
-    // DO NOT deduct coins immediately - wait for admin approval
+    // Move the coins into a hold until an admin approves or rejects
     const newWithdrawal = {
       worker_email: currentUser.email,
       worker_name: currentUser.name,
       withdrawal_coin: withdrawalAmount,
-      withdrawal_amount: (withdrawalAmount / 20).toFixed(2), // Convert to USD
-      payment_system: paymentMethod.toLowerCase(),
+      withdrawal_amount: coinsToUsd(withdrawalAmount, rate.coinsPerUsd), // Convert to USD
+      exchange_rate: rate.coinsPerUsd,
+      exchange_rate_version: rate.version,
+      payment_system: paymentSystem,
       account_number: cleanPaymentDetails,
       withdraw_date: new Date(),
       status: "pending",
       // Keep original fields for compatibility
       user: req.user._id,
       amount: withdrawalAmount,
-      paymentMethod: paymentMethod.toLowerCase(),
+      paymentMethod: paymentSystem,
       paymentDetails: cleanPaymentDetails,
       adminNote: "",
+      coinsHeld: true,
       requestedAt: new Date(),
       processedAt: null,
     };
 
-    const result = await db.collection("withdrawals").insertOne(newWithdrawal);
+    try {
+      await withTransaction(async (session) => {
+        const result = await db.collection("withdrawals").insertOne(newWithdrawal, { session });
+        await adjustCoins(db, session, {
+          userId: req.user._id,
+          delta: -withdrawalAmount,
+          heldDelta: withdrawalAmount,
+          reason: "withdrawal_hold",
+          withdrawal: result.insertedId,
+        });
+      });
+    } catch (error) {
+      if (error instanceof InsufficientCoinsError) {
+        return res.status(400).json({
+          success: false,
+          message: "Insufficient coins",
+          availableCoins: error.available,
+          requestedCoins: withdrawalAmount,
+        });
+      }
+      throw error;
+    }
 
     res.status(201).json({
       success: true,
-      withdrawal: { ...newWithdrawal, _id: result.insertedId },
+      withdrawal: newWithdrawal,
       message: "Withdrawal request submitted successfully. Awaiting admin approval."
     });
   } catch (error) {
@@ -248,53 +397,73 @@ router.patch("/:id", protect, restrictTo("Admin"), async (req, res) => {
       });
     }
 
+    const user = await db.collection("users").findOne({ _id: currentWithdrawal.user });
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
     // ADMIN FIX: Handle approval vs rejection logic
-    if (status === "approved") {
-      // Get fresh user data to check current balance
-      const user = await db.collection("users").findOne({ _id: currentWithdrawal.user });
-      
-      if (!user) {
-        return res.status(404).json({
-          success: false,
-          message: "User not found",
-        });
-      }
+    let result;
+    try {
+      result = await withTransaction(async (session) => {
+        // Update withdrawal with final status
+        const updated = await db.collection("withdrawals").findOneAndUpdate(
+          { 
+            _id: new ObjectId(req.params.id),
+            status: "pending" // Double-check it's still pending
+          },
+          { 
+            $set: { 
+              status, 
+              adminNote: adminNote || "",
+              processedAt: new Date()
+            } 
+          },
+          { returnDocument: "after", session }
+        );
+
+        if (!updated) {
+          return null;
+        }
 
-      // SECURITY FIX: Atomic coin deduction with balance check
-      const coinDeductionResult = await db.collection("users").updateOne(
-        { 
-          _id: currentWithdrawal.user,
-          coin: { $gte: currentWithdrawal.amount } // Only deduct if sufficient balance
-        },
-        { $inc: { coin: -currentWithdrawal.amount } }
-      );
+        if (currentWithdrawal.coinsHeld) {
+          // Rejection releases the hold back to the available balance,
+          // approval or completion settles it
+          await adjustCoins(db, session, {
+            userId: currentWithdrawal.user,
+            delta: status === "rejected" ? currentWithdrawal.amount : 0,
+            heldDelta: -currentWithdrawal.amount,
+            reason: status === "rejected" ? "withdrawal_release" : "withdrawal",
+            withdrawal: currentWithdrawal._id,
+          });
+        } else if (status === "approved") {
+          // Requests made before holds existed are deducted on approval
+          // SECURITY FIX: Atomic coin deduction with balance check
+          await adjustCoins(db, session, {
+            userId: currentWithdrawal.user,
+            delta: -currentWithdrawal.amount,
+            reason: "withdrawal",
+            withdrawal: currentWithdrawal._id,
+          });
+        }
 
-      if (coinDeductionResult.modifiedCount === 0) {
+        return updated;
+      });
+    } catch (error) {
+      if (error instanceof InsufficientCoinsError) {
         return res.status(400).json({
           success: false,
           message: "Insufficient coins for withdrawal",
-          availableCoins: user.coin,
+          availableCoins: error.available,
           requestedCoins: currentWithdrawal.amount,
         });
       }
+      throw error;
     }
-    // ADMIN FIX: For rejection, do NOT deduct coins (coins remain with worker)
-
-    // Update withdrawal with final status
-    const result = await db.collection("withdrawals").findOneAndUpdate(
-      { 
-        _id: new ObjectId(req.params.id),
-        status: "pending" // Double-check it's still pending
-      },
-      { 
-        $set: { 
-          status, 
-          adminNote: adminNote || "",
-          processedAt: new Date()
-        } 
-      },
-      { returnDocument: "after" }
-    );
 
     if (!result) {
       return res.status(400).json({
@@ -309,7 +478,7 @@ router.patch("/:id", protect, restrictTo("Admin"), async (req, res) => {
       message: status === "approved" 
         ? `Withdrawal approved. ${currentWithdrawal.amount} coins deducted from worker.`
         : status === "rejected"
-        ? `Withdrawal rejected. Worker keeps their ${currentWithdrawal.amount} coins.`
+        ? `Withdrawal rejected. ${currentWithdrawal.amount} coins returned to the worker's available balance.`
         : "Withdrawal status updated successfully",
     });
   } catch (error) {
@@ -30,6 +30,8 @@ const seedAdmin = async () => {
       image: "",
       role: "Admin",
       coin: 0,
+      heldCoin: 0,
+      signupBonus: 0,
       provider: "credentials",
       createdAt: new Date(),
     });
@@ -0,0 +1,147 @@
+const { adjustCoins } = require("./ledger");
+const { releaseEscrow } = require("./escrow");
+const { slotCost, workerPayout, approvalFee } = require("./fees");
+const { CLOSED_STATUSES, completeIfFilled } = require("./taskLifecycle");
+const { fillFreeSlot } = require("./claims");
+const { retakeSubmission } = require("./submissionLimits");
+
+// A worker appeals a rejected submission; an admin upholds or denies it
+const APPEAL_STATUSES = ["open", "upheld", "denied"];
+const APPEAL_DECISIONS = ["upheld", "denied"];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_APPEAL_WINDOW_DAYS = 7;
+
+// How long after a rejection the worker may appeal it
+const getAppealWindowDays = () => {
+  const days = parseInt(process.env.APPEAL_WINDOW_DAYS);
+  return isNaN(days) || days < 1 ? DEFAULT_APPEAL_WINDOW_DAYS : days;
+};
+
+const appealDeadline = (submission) =>
+  new Date(new Date(submission.reviewedAt).getTime() + getAppealWindowDays() * DAY_MS);
+
+// Thrown inside a transaction when the appeal was decided in the meantime
+class AppealClosedError extends Error {
+  constructor() {
+    super("This appeal has already been decided");
+    this.name = "AppealClosedError";
+  }
+}
+
+// Thrown inside a transaction when the appealed task has been closed. Its
+// remaining escrow is held for other pending submissions, so it can't pay.
+class TaskClosedError extends Error {
+  constructor() {
+    super("This task has been closed, so the appeal can only be denied");
+    this.name = "TaskClosedError";
+  }
+}
+
+// Mark an open appeal decided, refusing if another admin got there first
+const decideAppeal = async (db, session, { appeal, decision, actor, note }) => {
+  const updated = await db.collection("appeals").findOneAndUpdate(
+    { _id: appeal._id, status: "open" },
+    { $set: { status: decision, adminNote: note || "", decidedBy: actor, decidedAt: new Date() } },
+    { session, returnDocument: "after" }
+  );
+
+  if (!updated) {
+    throw new AppealClosedError();
+  }
+
+  await db.collection("submissions").updateOne(
+    { _id: appeal.submission },
+    { $set: { appealStatus: decision } },
+    { session }
+  );
+
+  return updated;
+};
+
+// Uphold an appeal: pay the rejected submission from the task's escrow as
+// if it had been approved. The rejection freed its slot, so it takes a free
+// one, and takes back the submission the rejection returned to the worker.
+// Throws TaskClosedError, EscrowExhaustedError, SlotsFullError or
+// SubmissionLimitError if it can't be paid.
+const upholdAppeal = async (db, session, { appeal, submission, task, actor, note }) => {
+  // SAFETY CHECK: A closed task only holds escrow for its pending submissions,
+  // and the slot this rejection freed isn't really free
+  const current = await db.collection("tasks").findOne(
+    { _id: task._id },
+    { session, projection: { status: 1 } }
+  );
+  if (!current || CLOSED_STATUSES.includes(current.status)) {
+    throw new TaskClosedError();
+  }
+
+  const updated = await decideAppeal(db, session, { appeal, decision: "upheld", actor, note });
+
+  // Rejections from before this was recorded returned it if the task allowed
+  const quotaReturned = submission.quotaReturned ?? Boolean(task.allowResubmission);
+  if (quotaReturned) {
+    await retakeSubmission(db, session, { task, workerId: submission.worker });
+  }
+
+  await releaseEscrow(db, session, {
+    task,
+    amount: slotCost(task),
+    submission: submission._id,
+    actor,
+  });
+
+  const rewardPaid = workerPayout(task);
+  await adjustCoins(db, session, {
+    userId: submission.worker,
+    delta: rewardPaid,
+    reason: "submission_reward",
+    task: task._id,
+    submission: submission._id,
+    note: "Appeal upheld",
+  });
+
+  await fillFreeSlot(db, session, task._id);
+  await completeIfFilled(db, session, { taskId: task._id, actor });
+
+  await db.collection("submissions").updateOne(
+    { _id: submission._id },
+    {
+      $set: {
+        status: "approved",
+        rewardPaid,
+        platformFee: approvalFee(task),
+        approvedOnAppeal: true,
+        quotaReturned: false,
+        reviewedAt: new Date(),
+      },
+    },
+    { session }
+  );
+
+  return updated;
+};
+
+// Appeal counts by outcome for one side of the appeals (worker or buyer)
+const countAppeals = async (db, match) => {
+  const counts = await db.collection("appeals").aggregate([
+    { $match: match },
+    { $group: { _id: "$status", count: { $sum: 1 } } }
+  ]).toArray();
+
+  return APPEAL_STATUSES.reduce((result, status) => {
+    result[status] = counts.find((c) => c._id === status)?.count || 0;
+    return result;
+  }, {});
+};
+
+module.exports = {
+  APPEAL_STATUSES,
+  APPEAL_DECISIONS,
+  AppealClosedError,
+  TaskClosedError,
+  getAppealWindowDays,
+  appealDeadline,
+  decideAppeal,
+  upholdAppeal,
+  countAppeals,
+};
@@ -0,0 +1,131 @@
+const { GridFSBucket, ObjectId } = require("mongodb");
+
+// Files attached to tasks and submissions are stored in GridFS. Each file's
+// metadata names the task it belongs to and, for submission files, the
+// submission, which is what download access and cleanup go by.
+const BUCKET_NAME = "attachments";
+
+const DEFAULT_MAX_FILE_MB = 4;
+const MAX_FILES_PER_REQUEST = 5;
+const MAX_ATTACHMENTS = 10;
+
+// File types that may be uploaded, with the leading bytes each must start
+// with. Text files have no signature to check.
+const ALLOWED_TYPES = {
+  "image/png": [Buffer.from([0x89, 0x50, 0x4e, 0x47])],
+  "image/jpeg": [Buffer.from([0xff, 0xd8, 0xff])],
+  "image/gif": [Buffer.from("GIF87a"), Buffer.from("GIF89a")],
+  "image/webp": [Buffer.from("RIFF")],
+  "application/pdf": [Buffer.from("%PDF")],
+  "text/plain": [],
+};
+
+// Largest file accepted, in bytes
+const getMaxFileBytes = () => {
+  const mb = parseFloat(process.env.ATTACHMENT_MAX_MB);
+  return Math.round((isNaN(mb) || mb <= 0 ? DEFAULT_MAX_FILE_MB : mb) * 1024 * 1024);
+};
+
+const getBucket = (db) => new GridFSBucket(db, { bucketName: BUCKET_NAME });
+
+// SECURITY FIX: Check the file's contents match its declared type, so a
+// renamed executable can't be served back as an image
+const matchesSignature = (file) => {
+  const signatures = ALLOWED_TYPES[file.mimetype];
+  if (!signatures) {
+    return false;
+  }
+  if (file.mimetype === "image/webp" && file.buffer.subarray(8, 12).toString() !== "WEBP") {
+    return false;
+  }
+  return signatures.length === 0 || signatures.some((sig) => file.buffer.subarray(0, sig.length).equals(sig));
+};
+
+// VALIDATION FIX: Validate uploaded files before storing any of them.
+// Returns { error } or an empty object.
+const validateFiles = (files, existingCount = 0) => {
+  if (existingCount + files.length > MAX_ATTACHMENTS) {
+    return { error: `At most ${MAX_ATTACHMENTS} files can be attached` };
+  }
+
+  const invalid = files.find((file) => !matchesSignature(file));
+  if (invalid) {
+    return { error: `File "${invalid.originalname}" does not match its type ${invalid.mimetype}` };
+  }
+
+  return {};
+};
+
+// Store uploaded files in GridFS. Returns their descriptions. GridFS writes
+// aren't part of transactions, so callers delete them again if the document
+// they belong to can't be saved.
+const storeFiles = async (db, files, { task, submission = null, version = null, uploadedBy }) => {
+  const bucket = getBucket(db);
+  const stored = [];
+
+  for (const file of files) {
+    const _id = new ObjectId();
+    const metadata = {
+      task,
+      submission,
+      version,
+      uploadedBy,
+      contentType: file.mimetype,
+    };
+
+    await new Promise((resolve, reject) => {
+      bucket
+        .openUploadStreamWithId(_id, file.originalname, { metadata })
+        .on("error", reject)
+        .on("finish", resolve)
+        .end(file.buffer);
+    });
+
+    // What is kept on the task or submission for each file
+    stored.push({
+      _id,
+      filename: file.originalname,
+      contentType: file.mimetype,
+      size: file.size,
+      uploadedAt: new Date(),
+    });
+  }
+
+  return stored;
+};
+
+// Delete the given stored files, e.g. ones whose document wasn't saved
+const deleteStoredFiles = async (db, files) => {
+  const bucket = getBucket(db);
+
+  for (const file of files) {
+    await bucket.delete(file._id).catch((error) => {
+      // Already gone is fine; anything else is worth knowing about
+      if (!/not found/i.test(error.message)) throw error;
+    });
+  }
+
+  return files.length;
+};
+
+// Delete every stored file matching a metadata filter, e.g. { task } or
+// { submission: { $in: ids } }. Returns how many were deleted.
+const deleteFiles = async (db, filter) => {
+  const query = Object.fromEntries(
+    Object.entries(filter).map(([key, value]) => [`metadata.${key}`, value])
+  );
+  const files = await getBucket(db).find(query, { projection: { _id: 1 } }).toArray();
+  return deleteStoredFiles(db, files);
+};
+
+module.exports = {
+  ALLOWED_TYPES,
+  MAX_FILES_PER_REQUEST,
+  MAX_ATTACHMENTS,
+  getMaxFileBytes,
+  getBucket,
+  validateFiles,
+  storeFiles,
+  deleteStoredFiles,
+  deleteFiles,
+};
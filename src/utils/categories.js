@@ -0,0 +1,85 @@
+// Turn a category name into a URL-safe slug
+const slugify = (text) =>
+  String(text)
+    .toLowerCase()
+    .trim()
+    .replace(/&/g, " and ")
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, 60);
+
+// Find an active category by slug or name, for validating task input
+const findActiveCategory = (db, value) => {
+  const text = String(value).trim();
+  return db.collection("categories").findOne({
+    active: true,
+    $or: [
+      { slug: slugify(text) },
+      { name: { $regex: `^${text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}$`, $options: "i" } },
+    ],
+  });
+};
+
+// Task category filter for a slug. A parent category also matches its children.
+const categoryFilter = async (db, slug) => {
+  const category = await db.collection("categories").findOne({ slug });
+  if (!category) {
+    return slug;
+  }
+
+  const children = await db
+    .collection("categories")
+    .find({ parent: category._id }, { projection: { slug: 1 } })
+    .toArray();
+
+  return children.length > 0
+    ? { $in: [category.slug, ...children.map((child) => child.slug)] }
+    : category.slug;
+};
+
+const CATEGORY_MIGRATION = "task_categories";
+
+// Move free-text task categories onto managed ones. Spellings that share a
+// slug are merged into a single category. SAFETY CHECK: This runs once,
+// recorded in `migrations`, so categories an admin later deletes or renames
+// aren't brought back on the next start.
+const migrateTaskCategories = async (db) => {
+  const done = await db.collection("migrations").findOne({ _id: CATEGORY_MIGRATION });
+  if (done) return;
+
+  const values = await db.collection("tasks").distinct("category");
+
+  for (const value of values) {
+    if (typeof value !== "string") continue;
+    const slug = slugify(value);
+    if (!slug) continue;
+
+    await db.collection("categories").updateOne(
+      { slug },
+      {
+        $setOnInsert: {
+          name: value.trim(),
+          slug,
+          parent: null,
+          icon: "",
+          active: true,
+          createdAt: new Date(),
+          updatedAt: new Date(),
+        },
+      },
+      { upsert: true }
+    );
+
+    if (value !== slug) {
+      await db.collection("tasks").updateMany({ category: value }, { $set: { category: slug } });
+    }
+  }
+
+  await db.collection("migrations").updateOne(
+    { _id: CATEGORY_MIGRATION },
+    { $setOnInsert: { completedAt: new Date() } },
+    { upsert: true }
+  );
+};
+
+module.exports = { slugify, findActiveCategory, categoryFilter, migrateTaskCategories };
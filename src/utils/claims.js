@@ -0,0 +1,173 @@
+// A claim holds one of a task's slots for a worker while they do the work.
+// Active claims and pending submissions are counted in the task's reservedCount.
+const CLAIM_STATUSES = ["active", "submitted", "released", "expired"];
+
+// Submissions that hold a slot until they're approved or rejected
+const SLOT_HOLDING_STATUSES = ["pending", "processing", "revision_requested"];
+
+const DEFAULT_HOLD_MINUTES = 60;
+const MIN_HOLD_MINUTES = 5;
+const MAX_HOLD_MINUTES = 24 * 60;
+
+// Thrown inside a transaction when an approval would go past a task's quantity
+class SlotsFullError extends Error {
+  constructor() {
+    super("All slots on this task are already filled");
+    this.name = "SlotsFullError";
+  }
+}
+
+// How long a claim holds a slot unless the task sets its own hold time
+const getDefaultHoldMinutes = () => {
+  const minutes = parseInt(process.env.CLAIM_HOLD_MINUTES);
+  return isNaN(minutes)
+    ? DEFAULT_HOLD_MINUTES
+    : Math.min(MAX_HOLD_MINUTES, Math.max(MIN_HOLD_MINUTES, minutes));
+};
+
+// VALIDATION FIX: Validate a task's claim hold time. Returns { minutes } or { error }.
+const parseHoldMinutes = (value) => {
+  if (value === undefined || value === null) {
+    return { minutes: getDefaultHoldMinutes() };
+  }
+
+  const minutes = parseInt(value);
+  if (isNaN(minutes) || minutes < MIN_HOLD_MINUTES || minutes > MAX_HOLD_MINUTES) {
+    return { error: `Claim hold time must be between ${MIN_HOLD_MINUTES} and ${MAX_HOLD_MINUTES} minutes` };
+  }
+  return { minutes };
+};
+
+// Take one open slot on an active task. Returns false when none is left.
+const reserveSlot = async (db, session, taskId) => {
+  const result = await db.collection("tasks").updateOne(
+    {
+      _id: taskId,
+      status: "active",
+      $expr: {
+        $lt: [{ $add: ["$completedCount", { $ifNull: ["$reservedCount", 0] }] }, "$quantity"],
+      },
+    },
+    { $inc: { reservedCount: 1 } },
+    { session }
+  );
+  return result.modifiedCount === 1;
+};
+
+// Give reserved slots back to a task
+const freeSlots = async (db, session, taskId, count = 1) => {
+  await db.collection("tasks").updateOne(
+    { _id: taskId },
+    [
+      {
+        $set: {
+          reservedCount: { $max: [0, { $subtract: [{ $ifNull: ["$reservedCount", 0] }, count] }] },
+        },
+      },
+    ],
+    { session }
+  );
+};
+
+// Turn a reserved slot into a completed one for an approved submission
+const fillSlot = async (db, session, taskId) => {
+  const result = await db.collection("tasks").updateOne(
+    { _id: taskId, $expr: { $lt: ["$completedCount", "$quantity"] } },
+    [
+      {
+        $set: {
+          completedCount: { $add: ["$completedCount", 1] },
+          reservedCount: { $max: [0, { $subtract: [{ $ifNull: ["$reservedCount", 0] }, 1] }] },
+        },
+      },
+    ],
+    { session }
+  );
+
+  if (result.modifiedCount !== 1) {
+    throw new SlotsFullError();
+  }
+};
+
+// Count one more completion on a slot nobody holds, for work approved after
+// its own slot was freed. Throws SlotsFullError when every slot is taken.
+const fillFreeSlot = async (db, session, taskId) => {
+  const result = await db.collection("tasks").updateOne(
+    {
+      _id: taskId,
+      $expr: {
+        $lt: [{ $add: ["$completedCount", { $ifNull: ["$reservedCount", 0] }] }, "$quantity"],
+      },
+    },
+    { $inc: { completedCount: 1 } },
+    { session }
+  );
+
+  if (result.modifiedCount !== 1) {
+    throw new SlotsFullError();
+  }
+};
+
+// End an active claim and free its slot. Returns false if it already ended.
+const endClaim = async (db, session, { claim, status }) => {
+  const result = await db.collection("claims").updateOne(
+    { _id: claim._id, status: "active" },
+    { $set: { status, endedAt: new Date() } },
+    { session }
+  );
+
+  if (result.modifiedCount !== 1) {
+    return false;
+  }
+
+  await freeSlots(db, session, claim.task);
+  return true;
+};
+
+// Release every active claim on a task that is closing
+const releaseTaskClaims = async (db, session, { taskId }) => {
+  const result = await db.collection("claims").updateMany(
+    { task: taskId, status: "active" },
+    { $set: { status: "released", endedAt: new Date() } },
+    { session }
+  );
+
+  if (result.modifiedCount > 0) {
+    await freeSlots(db, session, taskId, result.modifiedCount);
+  }
+  return result.modifiedCount;
+};
+
+// Tasks created before claims hold a slot for each submission awaiting review
+const backfillReservedCounts = async (db) => {
+  const pending = await db.collection("submissions").aggregate([
+    { $match: { status: { $in: SLOT_HOLDING_STATUSES } } },
+    { $group: { _id: "$task", count: { $sum: 1 } } }
+  ]).toArray();
+
+  for (const { _id, count } of pending) {
+    await db.collection("tasks").updateOne(
+      { _id, reservedCount: { $exists: false } },
+      { $set: { reservedCount: count } }
+    );
+  }
+
+  await db.collection("tasks").updateMany(
+    { reservedCount: { $exists: false } },
+    { $set: { reservedCount: 0 } }
+  );
+};
+
+module.exports = {
+  CLAIM_STATUSES,
+  SLOT_HOLDING_STATUSES,
+  SlotsFullError,
+  parseHoldMinutes,
+  reserveSlot,
+  freeSlots,
+  fillSlot,
+  fillFreeSlot,
+  endClaim,
+  releaseTaskClaims,
+  backfillReservedCounts,
+};
@@ -0,0 +1,161 @@
+const { ObjectId } = require("mongodb");
+
+const MAX_LISTED_WORKERS = 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// VALIDATION FIX: Validate the worker eligibility rules a buyer sets on a task.
+// Returns { eligibility } (null when no rules are set) or { error }.
+const validateEligibility = (rules) => {
+  if (rules === undefined || rules === null) {
+    return { eligibility: null };
+  }
+
+  if (typeof rules !== "object" || Array.isArray(rules)) {
+    return { error: "Eligibility must be an object" };
+  }
+
+  const eligibility = {
+    minApprovalRate: 0,
+    minApprovedSubmissions: 0,
+    minAccountAgeDays: 0,
+    allowedWorkers: [],
+    blockedWorkers: [],
+  };
+
+  if (rules.minApprovalRate !== undefined) {
+    const rate = Number(rules.minApprovalRate);
+    if (!Number.isFinite(rate) || rate < 0 || rate > 100) {
+      return { error: "Minimum approval rate must be a percentage between 0 and 100" };
+    }
+    eligibility.minApprovalRate = rate;
+  }
+
+  for (const field of ["minApprovedSubmissions", "minAccountAgeDays"]) {
+    if (rules[field] === undefined) continue;
+    const value = Number(rules[field]);
+    if (!Number.isInteger(value) || value < 0 || value > 100000) {
+      return { error: `${field} must be a whole number of 0 or more` };
+    }
+    eligibility[field] = value;
+  }
+
+  for (const field of ["allowedWorkers", "blockedWorkers"]) {
+    if (rules[field] === undefined) continue;
+    const ids = rules[field];
+    if (!Array.isArray(ids) || ids.length > MAX_LISTED_WORKERS) {
+      return { error: `${field} must be an array of at most ${MAX_LISTED_WORKERS} worker IDs` };
+    }
+    if (!ids.every((id) => typeof id === "string" && ObjectId.isValid(id))) {
+      return { error: `${field} must only contain valid worker IDs` };
+    }
+    eligibility[field] = [...new Set(ids)].map((id) => new ObjectId(id));
+  }
+
+  const hasRules =
+    eligibility.minApprovalRate > 0 ||
+    eligibility.minApprovedSubmissions > 0 ||
+    eligibility.minAccountAgeDays > 0 ||
+    eligibility.allowedWorkers.length > 0 ||
+    eligibility.blockedWorkers.length > 0;
+
+  return { eligibility: hasRules ? eligibility : null };
+};
+
+// A worker's track record, as used by eligibility rules
+const getWorkerStats = async (db, worker) => {
+  const counts = await db.collection("submissions").aggregate([
+    { $match: { worker: worker._id, status: { $in: ["approved", "rejected"] } } },
+    { $group: { _id: "$status", count: { $sum: 1 } } }
+  ]).toArray();
+
+  const approved = counts.find((c) => c._id === "approved")?.count || 0;
+  const rejected = counts.find((c) => c._id === "rejected")?.count || 0;
+  const reviewed = approved + rejected;
+
+  return {
+    workerId: worker._id,
+    approved,
+    reviewed,
+    // Workers with nothing reviewed yet have no approval rate to speak of
+    approvalRate: reviewed > 0 ? Math.round((approved * 10000) / reviewed) / 100 : 0,
+    accountAgeDays: worker.createdAt
+      ? Math.floor((Date.now() - new Date(worker.createdAt).getTime()) / DAY_MS)
+      : 0,
+  };
+};
+
+const includesId = (ids, id) => (ids || []).some((listed) => listed.toString() === id.toString());
+
+// Explain why a worker can't take a task. Returns { eligible, reasons }.
+const checkEligibility = (task, stats) => {
+  const rules = task.eligibility;
+  const reasons = [];
+
+  if (!rules) {
+    return { eligible: true, reasons };
+  }
+
+  if (includesId(rules.blockedWorkers, stats.workerId)) {
+    reasons.push("The buyer has blocked you from this task");
+  }
+
+  if (rules.allowedWorkers?.length > 0 && !includesId(rules.allowedWorkers, stats.workerId)) {
+    reasons.push("This task is only open to workers invited by the buyer");
+  }
+
+  if (stats.approvalRate < rules.minApprovalRate) {
+    reasons.push(
+      stats.reviewed > 0
+        ? `Requires an approval rate of at least ${rules.minApprovalRate}% (yours is ${stats.approvalRate}%)`
+        : `Requires an approval rate of at least ${rules.minApprovalRate}% (you have no reviewed submissions yet)`
+    );
+  }
+
+  if (stats.approved < rules.minApprovedSubmissions) {
+    reasons.push(
+      `Requires at least ${rules.minApprovedSubmissions} approved submissions (you have ${stats.approved})`
+    );
+  }
+
+  if (stats.accountAgeDays < rules.minAccountAgeDays) {
+    reasons.push(
+      `Requires an account at least ${rules.minAccountAgeDays} days old (yours is ${stats.accountAgeDays} days old)`
+    );
+  }
+
+  return { eligible: reasons.length === 0, reasons };
+};
+
+// Query condition matching only the tasks a worker is eligible for
+const eligibilityFilter = (stats) => ({
+  $and: [
+    { "eligibility.minApprovalRate": { $not: { $gt: stats.approvalRate } } },
+    { "eligibility.minApprovedSubmissions": { $not: { $gt: stats.approved } } },
+    { "eligibility.minAccountAgeDays": { $not: { $gt: stats.accountAgeDays } } },
+    { "eligibility.blockedWorkers": { $ne: stats.workerId } },
+    {
+      $or: [
+        { "eligibility.allowedWorkers": { $exists: false } },
+        { "eligibility.allowedWorkers": { $size: 0 } },
+        { "eligibility.allowedWorkers": stats.workerId },
+      ],
+    },
+  ],
+});
+
+// Other workers shouldn't see who a buyer has invited or blocked
+const hideWorkerLists = (task) => {
+  if (task.eligibility) {
+    const { allowedWorkers, blockedWorkers, ...rules } = task.eligibility;
+    task.eligibility = { ...rules, inviteOnly: allowedWorkers?.length > 0 };
+  }
+  return task;
+};
+
+module.exports = {
+  validateEligibility,
+  getWorkerStats,
+  checkEligibility,
+  eligibilityFilter,
+  hideWorkerLists,
+};
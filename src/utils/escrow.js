@@ -0,0 +1,184 @@
+const { adjustCoins } = require("./ledger");
+
+// What happened to coins held in a task's escrow
+const ESCROW_EVENTS = ["funded", "released", "refunded", "forfeited"];
+
+// How remaining escrow is disposed of when a task closes
+const ESCROW_DISPOSITIONS = ["refund", "forfeit"];
+
+// Thrown inside a transaction when a task cannot cover a payout
+class EscrowExhaustedError extends Error {
+  constructor(available, required) {
+    super("Task escrow cannot cover this payout");
+    this.name = "EscrowExhaustedError";
+    this.available = available;
+    this.required = required;
+  }
+}
+
+const recordEscrowEvent = async (db, session, { task, type, amount, escrowAfter, submission, actor, note }) => {
+  await db.collection("escrow_events").insertOne(
+    {
+      task: task._id,
+      buyer: task.buyer,
+      type,
+      amount,
+      escrowAfter,
+      submission: submission || null,
+      actor: actor || null,
+      note: note || "",
+      createdAt: new Date(),
+    },
+    { session }
+  );
+};
+
+// Record the initial funding of a task inserted with its escrow already set
+const fundEscrow = async (db, session, { task, actor }) => {
+  await recordEscrowEvent(db, session, {
+    task,
+    type: "funded",
+    amount: task.escrow,
+    escrowAfter: task.escrow,
+    actor,
+  });
+};
+
+// Add coins to the escrow of a task that is already funded
+const topUpEscrow = async (db, session, { task, amount, actor, note }) => {
+  const updated = await db.collection("tasks").findOneAndUpdate(
+    { _id: task._id },
+    { $inc: { escrow: amount } },
+    { session, returnDocument: "after", projection: { escrow: 1 } }
+  );
+
+  await recordEscrowEvent(db, session, {
+    task,
+    type: "funded",
+    amount,
+    escrowAfter: updated.escrow,
+    actor,
+    note,
+  });
+
+  return updated.escrow;
+};
+
+// Draw a payout out of a task's escrow
+const releaseEscrow = async (db, session, { task, amount, submission, actor }) => {
+  const updated = await db.collection("tasks").findOneAndUpdate(
+    { _id: task._id, escrow: { $gte: amount } },
+    { $inc: { escrow: -amount } },
+    { session, returnDocument: "after", projection: { escrow: 1 } }
+  );
+
+  if (!updated) {
+    const current = await db.collection("tasks").findOne(
+      { _id: task._id },
+      { session, projection: { escrow: 1 } }
+    );
+    throw new EscrowExhaustedError(current?.escrow || 0, amount);
+  }
+
+  await recordEscrowEvent(db, session, {
+    task,
+    type: "released",
+    amount,
+    escrowAfter: updated.escrow,
+    submission,
+    actor,
+  });
+
+  return updated.escrow;
+};
+
+// Return part of a task's escrow to the buyer, capped at what is left
+const refundEscrow = async (db, session, { task, amount, actor, note }) => {
+  const current = await db.collection("tasks").findOne(
+    { _id: task._id },
+    { session, projection: { escrow: 1 } }
+  );
+  const refund = Math.min(amount, current?.escrow || 0);
+  if (refund <= 0) {
+    return 0;
+  }
+
+  const updated = await db.collection("tasks").findOneAndUpdate(
+    { _id: task._id, escrow: { $gte: refund } },
+    { $inc: { escrow: -refund } },
+    { session, returnDocument: "after", projection: { escrow: 1 } }
+  );
+
+  if (!updated) {
+    throw new EscrowExhaustedError(current.escrow, refund);
+  }
+
+  await adjustCoins(db, session, {
+    userId: task.buyer,
+    delta: refund,
+    reason: "task_refund",
+    task: task._id,
+    note,
+  });
+
+  await recordEscrowEvent(db, session, {
+    task,
+    type: "refunded",
+    amount: refund,
+    escrowAfter: updated.escrow,
+    actor,
+    note,
+  });
+
+  return refund;
+};
+
+// Empty a task's escrow, either back to the buyer or to the platform
+const settleEscrow = async (db, session, { task, disposition, actor, note }) => {
+  if (!ESCROW_DISPOSITIONS.includes(disposition)) {
+    throw new Error(`Unknown escrow disposition: ${disposition}`);
+  }
+
+  const before = await db.collection("tasks").findOneAndUpdate(
+    { _id: task._id },
+    { $set: { escrow: 0 } },
+    { session, returnDocument: "before", projection: { escrow: 1 } }
+  );
+
+  const amount = before?.escrow || 0;
+  if (amount <= 0) {
+    return 0;
+  }
+
+  if (disposition === "refund") {
+    await adjustCoins(db, session, {
+      userId: task.buyer,
+      delta: amount,
+      reason: "task_refund",
+      task: task._id,
+      note,
+    });
+  }
+
+  await recordEscrowEvent(db, session, {
+    task,
+    type: disposition === "refund" ? "refunded" : "forfeited",
+    amount,
+    escrowAfter: 0,
+    actor,
+    note,
+  });
+
+  return amount;
+};
+
+module.exports = {
+  ESCROW_EVENTS,
+  ESCROW_DISPOSITIONS,
+  EscrowExhaustedError,
+  fundEscrow,
+  topUpEscrow,
+  releaseEscrow,
+  refundEscrow,
+  settleEscrow,
+};
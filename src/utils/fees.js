@@ -0,0 +1,73 @@
+const FEE_TYPES = ["percent", "flat"];
+const FEE_PAYERS = ["buyer", "worker"];
+
+// Platform commission on task rewards, configured through the environment
+const getPlatformFee = () => {
+  const type = process.env.PLATFORM_FEE_TYPE || "percent";
+  const payer = process.env.PLATFORM_FEE_PAYER || "buyer";
+  const value = Number(process.env.PLATFORM_FEE_VALUE || 0);
+
+  if (!FEE_TYPES.includes(type) || !FEE_PAYERS.includes(payer) || !(value >= 0)) {
+    throw new Error("Invalid platform fee configuration");
+  }
+
+  return { type, value, payer };
+};
+
+// Fee taken on each approved submission for a given reward
+const feePerApproval = (fee, reward) => {
+  if (!fee || fee.value <= 0) return 0;
+
+  const amount = fee.type === "flat"
+    ? Math.round(fee.value)
+    : Math.ceil((reward * fee.value) / 100);
+
+  // A fee taken from the worker can never exceed the reward itself
+  return fee.payer === "worker" ? Math.min(amount, reward) : amount;
+};
+
+// Snapshot of the fee stored on a task so later config changes don't affect it
+const buildTaskFee = (fee, reward) => ({
+  ...fee,
+  perApproval: feePerApproval(fee, reward),
+});
+
+// Coins drawn from a task's escrow for each approved submission
+const slotCost = (task) => {
+  const fee = task.platformFee;
+  return task.reward + (fee && fee.payer === "buyer" ? fee.perApproval : 0);
+};
+
+// Coins a worker receives for an approved submission
+const workerPayout = (task) => {
+  const fee = task.platformFee;
+  return task.reward - (fee && fee.payer === "worker" ? fee.perApproval : 0);
+};
+
+// Platform revenue from a single approved submission
+const approvalFee = (task) => (task.platformFee ? task.platformFee.perApproval : 0);
+
+// Full cost breakdown for a task before it is created
+const quoteTask = (fee, reward, quantity) => {
+  const task = { reward, platformFee: buildTaskFee(fee, reward) };
+  const costPerSlot = slotCost(task);
+
+  return {
+    reward,
+    quantity,
+    platformFee: task.platformFee,
+    costPerSlot,
+    workerPayout: workerPayout(task),
+    platformFeeTotal: approvalFee(task) * quantity,
+    totalCost: costPerSlot * quantity,
+  };
+};
+
+module.exports = {
+  getPlatformFee,
+  buildTaskFee,
+  slotCost,
+  workerPayout,
+  approvalFee,
+  quoteTask,
+};
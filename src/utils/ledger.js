@@ -0,0 +1,106 @@
+// Reasons a user's coin balance can change
+const LEDGER_REASONS = [
+  "signup_bonus",
+  "task_funding",
+  "task_refund",
+  "submission_reward",
+  "coin_purchase",
+  "coin_refund",
+  "withdrawal",
+  "withdrawal_hold",
+  "withdrawal_release",
+];
+
+// Thrown inside a transaction when a debit would take a balance below zero
+class InsufficientCoinsError extends Error {
+  constructor(available, required) {
+    super("Insufficient coins");
+    this.name = "InsufficientCoinsError";
+    this.available = available;
+    this.required = required;
+  }
+}
+
+// Apply a coin delta to a user and append a ledger entry in the same session.
+// `delta` changes the available balance and `heldDelta` the held balance.
+// Debits are guarded so neither balance can ever go negative.
+const adjustCoins = async (db, session, { userId, delta, heldDelta = 0, reason, task, submission, payment, withdrawal, note }) => {
+  if (!LEDGER_REASONS.includes(reason)) {
+    throw new Error(`Unknown ledger reason: ${reason}`);
+  }
+
+  const filter = { _id: userId };
+  if (delta < 0) {
+    filter.coin = { $gte: -delta };
+  }
+  if (heldDelta < 0) {
+    filter.heldCoin = { $gte: -heldDelta };
+  }
+
+  const user = await db.collection("users").findOneAndUpdate(
+    filter,
+    { $inc: { coin: delta, heldCoin: heldDelta } },
+    { session, returnDocument: "after", projection: { coin: 1, heldCoin: 1 } }
+  );
+
+  if (!user) {
+    const current = await db.collection("users").findOne(
+      { _id: userId },
+      { session, projection: { coin: 1, heldCoin: 1 } }
+    );
+    if (!current) {
+      throw new Error("User not found");
+    }
+    if (delta < 0 && current.coin < -delta) {
+      throw new InsufficientCoinsError(current.coin, -delta);
+    }
+    throw new InsufficientCoinsError(current.heldCoin || 0, -heldDelta);
+  }
+
+  const entry = {
+    user: userId,
+    delta,
+    heldDelta,
+    balanceAfter: user.coin,
+    heldAfter: user.heldCoin,
+    reason,
+    task: task || null,
+    submission: submission || null,
+    payment: payment || null,
+    withdrawal: withdrawal || null,
+    note: note || "",
+    createdAt: new Date(),
+  };
+
+  await db.collection("ledger").insertOne(entry, { session });
+
+  return { balance: user.coin, entry };
+};
+
+// Record the opening balance of a freshly inserted user
+const recordOpeningBalance = async (db, session, { userId, amount }) => {
+  await db.collection("ledger").insertOne(
+    {
+      user: userId,
+      delta: amount,
+      heldDelta: 0,
+      balanceAfter: amount,
+      heldAfter: 0,
+      reason: "signup_bonus",
+      task: null,
+      submission: null,
+      payment: null,
+      withdrawal: null,
+      note: "",
+      createdAt: new Date(),
+    },
+    { session }
+  );
+};
+
+module.exports = {
+  LEDGER_REASONS,
+  InsufficientCoinsError,
+  adjustCoins,
+  recordOpeningBalance,
+};
@@ -0,0 +1,27 @@
+// Kinds of notification shown to users
+const NOTIFICATION_TYPES = [
+  "review_reminder",
+  "submission_auto_approved",
+  "revision_requested",
+  "revision_expired",
+  "appeal_filed",
+  "appeal_decided",
+];
+
+// Store a notification for a user
+const notify = async (db, { user, type, message, task, submission }, session) => {
+  await db.collection("notifications").insertOne(
+    {
+      user,
+      type,
+      message,
+      task: task || null,
+      submission: submission || null,
+      read: false,
+      createdAt: new Date(),
+    },
+    { session }
+  );
+};
+
+module.exports = { NOTIFICATION_TYPES, notify };
@@ -0,0 +1,135 @@
+// Packages and rates used to seed an empty database
+const DEFAULT_COIN_PACKAGES = [
+  { packageId: "pkg_10", coins: 10, price: 1 },
+  { packageId: "pkg_150", coins: 150, price: 10 },
+  { packageId: "pkg_500", coins: 500, price: 20 },
+  { packageId: "pkg_1000", coins: 1000, price: 35 },
+];
+const DEFAULT_COINS_PER_USD = 20;
+
+// Payout systems a withdrawal can be sent through
+const PAYMENT_SYSTEMS = ["stripe", "bkash", "rocket", "nagad"];
+
+// Thrown when another admin changed the same package or rate concurrently
+class VersionConflictError extends Error {
+  constructor() {
+    super("This item was changed by someone else. Please reload and try again.");
+    this.name = "VersionConflictError";
+  }
+}
+
+// Insert the default packages and rates the first time the server starts
+const ensureDefaultPricing = async (db) => {
+  const packageCount = await db.collection("coin_packages").countDocuments();
+  if (packageCount === 0) {
+    await db.collection("coin_packages").insertMany(
+      DEFAULT_COIN_PACKAGES.map((pkg, index) => ({
+        ...pkg,
+        currency: "USD",
+        sortOrder: index,
+        active: true,
+        version: 1,
+        createdBy: null,
+        createdAt: new Date(),
+        supersededAt: null,
+      }))
+    );
+  }
+
+  const rateCount = await db.collection("exchange_rates").countDocuments();
+  if (rateCount === 0) {
+    await db.collection("exchange_rates").insertMany(
+      PAYMENT_SYSTEMS.map((paymentSystem) => ({
+        paymentSystem,
+        coinsPerUsd: DEFAULT_COINS_PER_USD,
+        version: 1,
+        createdBy: null,
+        createdAt: new Date(),
+        supersededAt: null,
+      }))
+    );
+  }
+};
+
+// Shape a package version for API responses
+const formatPackage = (pkg) => ({
+  id: pkg.packageId,
+  coins: pkg.coins,
+  price: pkg.price,
+  currency: pkg.currency,
+  sortOrder: pkg.sortOrder,
+  active: pkg.active,
+  version: pkg.version,
+  updatedAt: pkg.createdAt,
+});
+
+// Current version of every package, optionally including retired ones
+const getCurrentPackages = async (db, { includeRetired = false } = {}) => {
+  const query = { supersededAt: null };
+  if (!includeRetired) query.active = true;
+
+  return db
+    .collection("coin_packages")
+    .find(query)
+    .sort({ sortOrder: 1, price: 1 })
+    .toArray();
+};
+
+// Current version of a single package
+const getCurrentPackage = (db, packageId, options = {}) =>
+  db.collection("coin_packages").findOne({ packageId, supersededAt: null }, options);
+
+// Replace the current version of a versioned document with an updated copy.
+// Earlier versions stay in the collection so historical records can refer to them.
+const createVersion = async (db, session, collection, current, changes, actor) => {
+  const superseded = await db.collection(collection).updateOne(
+    { _id: current._id, supersededAt: null },
+    { $set: { supersededAt: new Date() } },
+    { session }
+  );
+
+  if (superseded.modifiedCount === 0) {
+    throw new VersionConflictError();
+  }
+
+  const { _id, ...rest } = current;
+  const next = {
+    ...rest,
+    ...changes,
+    version: current.version + 1,
+    createdBy: actor,
+    createdAt: new Date(),
+    supersededAt: null,
+  };
+
+  await db.collection(collection).insertOne(next, { session });
+  return next;
+};
+
+// Current exchange rate for a payout system
+const getExchangeRate = async (db, paymentSystem) => {
+  const rate = await db
+    .collection("exchange_rates")
+    .findOne({ paymentSystem, supersededAt: null });
+
+  return rate || {
+    paymentSystem,
+    coinsPerUsd: DEFAULT_COINS_PER_USD,
+    version: 0,
+  };
+};
+
+// Convert coins to a USD string at a given rate
+const coinsToUsd = (coins, coinsPerUsd) => (coins / coinsPerUsd).toFixed(2);
+
+module.exports = {
+  PAYMENT_SYSTEMS,
+  VersionConflictError,
+  ensureDefaultPricing,
+  formatPackage,
+  getCurrentPackages,
+  getCurrentPackage,
+  createVersion,
+  getExchangeRate,
+  coinsToUsd,
+};
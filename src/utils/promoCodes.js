@@ -0,0 +1,139 @@
+// Kinds of promotion a code can apply to a package purchase
+const PROMO_TYPES = ["bonus", "discount"];
+
+// Payment statuses that count as a use of a promo code
+const REDEEMED_STATUSES = ["pending", "completed", "refunded"];
+
+const normalizeCode = (code) => String(code).trim().toUpperCase();
+
+// Thrown inside a transaction when a promo code's limits are already reached
+class PromoCodeError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "PromoCodeError";
+  }
+}
+
+// Check a promo code against a package and user without using it.
+// Returns { redemption } to store on the payment, or { error }.
+const checkPromoCode = async (db, { code, userId, coinPackage }) => {
+  const promo = await db.collection("promo_codes").findOne({ code: normalizeCode(code) });
+
+  if (!promo || !promo.active) {
+    return { error: "Invalid promo code" };
+  }
+
+  if (promo.expiresAt && promo.expiresAt <= new Date()) {
+    return { error: "This promo code has expired" };
+  }
+
+  if (promo.packageIds.length > 0 && !promo.packageIds.includes(coinPackage.packageId)) {
+    return { error: "This promo code cannot be used with the selected package" };
+  }
+
+  // Early answer for users already at their limit; claimPromoCode enforces it
+  if (promo.maxUsesPerUser) {
+    const uses = await db.collection("promo_redemptions").findOne({ promo: promo._id, user: userId });
+    if ((uses?.used || 0) >= promo.maxUsesPerUser) {
+      return { error: "You have already used this promo code the maximum number of times" };
+    }
+  }
+
+  const bonusCoins = promo.type === "bonus" ? promo.bonusCoins : 0;
+  const discountAmount = promo.type === "discount"
+    ? Math.round(coinPackage.price * promo.discountPercent) / 100
+    : 0;
+
+  return {
+    redemption: {
+      promoId: promo._id,
+      code: promo.code,
+      type: promo.type,
+      bonusCoins,
+      discountPercent: promo.type === "discount" ? promo.discountPercent : 0,
+      discountAmount,
+    },
+  };
+};
+
+// SAFETY CHECK: Claim one use of a checked promo code for a user. Both the
+// total and the per-user limit are claimed atomically, inside the caller's
+// transaction along with the payment. Throws PromoCodeError at either limit.
+const claimPromoCode = async (db, session, { redemption, userId }) => {
+  const claimed = await db.collection("promo_codes").findOneAndUpdate(
+    {
+      _id: redemption.promoId,
+      active: true,
+      $or: [
+        { maxUses: null },
+        { $expr: { $lt: ["$usedCount", "$maxUses"] } },
+      ],
+    },
+    { $inc: { usedCount: 1 } },
+    { session, returnDocument: "after" }
+  );
+
+  if (!claimed) {
+    throw new PromoCodeError("This promo code has reached its usage limit");
+  }
+
+  // Once the user is at the limit the filter stops matching and the upsert
+  // collides with their counter on the unique index
+  const perUser = claimed.maxUsesPerUser ? { used: { $lt: claimed.maxUsesPerUser } } : {};
+  try {
+    await db.collection("promo_redemptions").updateOne(
+      { promo: claimed._id, user: userId, ...perUser },
+      { $inc: { used: 1 } },
+      { session, upsert: true }
+    );
+  } catch (error) {
+    if (error.code === 11000) {
+      throw new PromoCodeError("You have already used this promo code the maximum number of times");
+    }
+    throw error;
+  }
+};
+
+// Give back the use claimed by a payment that never went through
+const releasePromoCode = async (db, payment, session) => {
+  if (!payment.promo) return;
+
+  await db.collection("promo_codes").updateOne(
+    { _id: payment.promo.promoId, usedCount: { $gt: 0 } },
+    { $inc: { usedCount: -1 } },
+    { session }
+  );
+  await db.collection("promo_redemptions").updateOne(
+    { promo: payment.promo.promoId, user: payment.user, used: { $gt: 0 } },
+    { $inc: { used: -1 } },
+    { session }
+  );
+};
+
+// Per-user counters for promo codes redeemed before they existed
+const backfillPromoRedemptions = async (db) => {
+  await db.collection("payments").aggregate([
+    { $match: { promo: { $ne: null }, status: { $in: REDEEMED_STATUSES } } },
+    { $group: { _id: { promo: "$promo.promoId", user: "$user" }, used: { $sum: 1 } } },
+    { $project: { _id: 0, promo: "$_id.promo", user: "$_id.user", used: 1 } },
+    {
+      $merge: {
+        into: "promo_redemptions",
+        on: ["promo", "user"],
+        whenMatched: "keepExisting",
+        whenNotMatched: "insert",
+      },
+    },
+  ]).toArray();
+};
+
+module.exports = {
+  PROMO_TYPES,
+  REDEEMED_STATUSES,
+  PromoCodeError,
+  normalizeCode,
+  checkPromoCode,
+  claimPromoCode,
+  releasePromoCode,
+  backfillPromoRedemptions,
+};
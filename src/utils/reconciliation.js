@@ -0,0 +1,114 @@
+// Signup bonus for accounts created before it was stored on the user
+const legacySignupBonus = (user) => {
+  if (user.provider === "google") return 10;
+  if (user.role === "Worker") return 10;
+  if (user.role === "Buyer") return 50;
+  return 0;
+};
+
+// Sum a numeric field per user from an aggregation's { _id, total } rows
+const toTotals = (rows) => {
+  const totals = new Map();
+  rows.forEach((row) => {
+    if (row._id) totals.set(row._id.toString(), row.total || 0);
+  });
+  return totals;
+};
+
+const sumBy = async (db, collection, match, userField, valueField) => {
+  const rows = await db.collection(collection).aggregate([
+    { $match: match },
+    { $group: { _id: `$${userField}`, total: { $sum: `$${valueField}` } } },
+  ]).toArray();
+  return toTotals(rows);
+};
+
+// Recompute every user's expected coin balance from source records and
+// report the users whose stored balance differs
+const reconcileBalances = async (db) => {
+  const users = await db
+    .collection("users")
+    .find({}, { projection: { name: 1, email: 1, role: 1, provider: 1, coin: 1, heldCoin: 1, signupBonus: 1 } })
+    .toArray();
+
+  // Refunded payments were credited in full, then reclaimed what was still available
+  const purchases = await sumBy(db, "payments", { status: { $in: ["completed", "refunded"] } }, "user", "coins");
+  const reclaimed = await sumBy(db, "payments", { status: "refunded" }, "user", "coinsReclaimed");
+  const funded = await sumBy(db, "escrow_events", { type: "funded" }, "buyer", "amount");
+  const refunded = await sumBy(db, "escrow_events", { type: "refunded" }, "buyer", "amount");
+  const rewards = await sumBy(db, "submissions", { status: "approved" }, "worker", "rewardPaid");
+
+  // Held withdrawals settle on approval or completion, older ones on approval only
+  const withdrawn = await sumBy(
+    db,
+    "withdrawals",
+    { $or: [{ status: "approved" }, { status: "completed", coinsHeld: true }] },
+    "user",
+    "amount"
+  );
+
+  // Tasks created before escrow events existed were funded at reward * quantity
+  const legacyFunding = toTotals(
+    await db.collection("tasks").aggregate([
+      {
+        $lookup: {
+          from: "escrow_events",
+          let: { taskId: "$_id" },
+          pipeline: [
+            { $match: { $expr: { $eq: ["$task", "$$taskId"] }, type: "funded" } },
+            { $limit: 1 },
+          ],
+          as: "funding",
+        },
+      },
+      { $match: { funding: { $size: 0 } } },
+      { $group: { _id: "$buyer", total: { $sum: { $multiply: ["$reward", "$quantity"] } } } },
+    ]).toArray()
+  );
+
+  const drifted = [];
+
+  users.forEach((user) => {
+    const id = user._id.toString();
+    const breakdown = {
+      signupBonus: user.signupBonus ?? legacySignupBonus(user),
+      purchases: purchases.get(id) || 0,
+      purchaseRefunds: reclaimed.get(id) || 0,
+      taskFunding: (funded.get(id) || 0) + (legacyFunding.get(id) || 0),
+      taskRefunds: refunded.get(id) || 0,
+      rewards: rewards.get(id) || 0,
+      withdrawals: withdrawn.get(id) || 0,
+    };
+
+    const expectedCoin =
+      breakdown.signupBonus +
+      breakdown.purchases -
+      breakdown.purchaseRefunds -
+      breakdown.taskFunding +
+      breakdown.taskRefunds +
+      breakdown.rewards -
+      breakdown.withdrawals;
+    // Coins on hold for pending withdrawals still belong to the user
+    const storedCoin = (user.coin || 0) + (user.heldCoin || 0);
+
+    if (storedCoin !== expectedCoin) {
+      drifted.push({
+        user: { _id: user._id, name: user.name, email: user.email, role: user.role },
+        storedCoin,
+        expectedCoin,
+        drift: storedCoin - expectedCoin,
+        breakdown,
+      });
+    }
+  });
+
+  return {
+    checkedUsers: users.length,
+    driftedUsers: drifted.length,
+    totalDrift: drifted.reduce((sum, item) => sum + item.drift, 0),
+    drifted,
+    checkedAt: new Date(),
+  };
+};
+
+module.exports = { reconcileBalances };
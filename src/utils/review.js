@@ -0,0 +1,214 @@
+const { adjustCoins } = require("./ledger");
+const { releaseEscrow, refundEscrow } = require("./escrow");
+const { slotCost, workerPayout, approvalFee } = require("./fees");
+const { CLOSED_STATUSES, completeIfFilled } = require("./taskLifecycle");
+const { freeSlots, fillSlot } = require("./claims");
+const { returnSubmission } = require("./submissionLimits");
+
+const HOUR_MS = 60 * 60 * 1000;
+const DEFAULT_REVIEW_WINDOW_HOURS = 72;
+const MIN_REVIEW_WINDOW_HOURS = 1;
+const MAX_REVIEW_WINDOW_HOURS = 30 * 24;
+const DEFAULT_MAX_REVISIONS = 2;
+const MAX_REVISIONS = 10;
+
+// Thrown when a buyer asks for another revision after the task's last round
+class RevisionLimitError extends Error {
+  constructor(maxRevisions) {
+    super(`This submission has used all ${maxRevisions} revision rounds. Approve or reject it instead.`);
+    this.name = "RevisionLimitError";
+    this.maxRevisions = maxRevisions;
+  }
+}
+
+// Platform-wide time a buyer has to review a submission before it is
+// approved automatically
+const getDefaultReviewWindowHours = () => {
+  const hours = parseInt(process.env.REVIEW_WINDOW_HOURS);
+  return isNaN(hours)
+    ? DEFAULT_REVIEW_WINDOW_HOURS
+    : Math.min(MAX_REVIEW_WINDOW_HOURS, Math.max(MIN_REVIEW_WINDOW_HOURS, hours));
+};
+
+// How long before the deadline the buyer is warned
+const getReviewWarningHours = () => {
+  const hours = parseInt(process.env.REVIEW_WARNING_HOURS);
+  return isNaN(hours) || hours < 0 ? 24 : hours;
+};
+
+// VALIDATION FIX: Validate a task's review window. Returns { hours } or { error }.
+const parseReviewWindow = (value) => {
+  if (value === undefined || value === null) {
+    return { hours: getDefaultReviewWindowHours() };
+  }
+
+  const hours = parseInt(value);
+  if (isNaN(hours) || hours < MIN_REVIEW_WINDOW_HOURS || hours > MAX_REVIEW_WINDOW_HOURS) {
+    return {
+      error: `Review window must be between ${MIN_REVIEW_WINDOW_HOURS} and ${MAX_REVIEW_WINDOW_HOURS} hours`,
+    };
+  }
+  return { hours };
+};
+
+// VALIDATION FIX: Validate how many revision rounds a task allows per
+// submission. Returns { maxRevisions } or { error }.
+const parseMaxRevisions = (value) => {
+  if (value === undefined || value === null) {
+    return { maxRevisions: DEFAULT_MAX_REVISIONS };
+  }
+
+  const maxRevisions = parseInt(value);
+  if (isNaN(maxRevisions) || maxRevisions < 0 || maxRevisions > MAX_REVISIONS) {
+    return { error: `Max revisions must be between 0 and ${MAX_REVISIONS}` };
+  }
+  return { maxRevisions };
+};
+
+// When a submission made now is approved if the buyer hasn't reviewed it
+const reviewDueAt = (task, from = new Date()) =>
+  new Date(from.getTime() + (task.reviewWindowHours || getDefaultReviewWindowHours()) * HOUR_MS);
+
+// SECURITY FIX: Lock a pending submission for review so it can't be reviewed
+// twice at once. Returns the locked submission, or null if it isn't pending.
+// The query may name another status to lock from.
+const lockSubmission = (db, query) =>
+  db.collection("submissions").findOneAndUpdate(
+    { status: "pending", ...query },
+    { $set: { status: "processing", reviewedAt: new Date() } },
+    { returnDocument: "after" }
+  );
+
+// Rollback the processing status
+const unlockSubmission = (db, submission, status = "pending") =>
+  db.collection("submissions").updateOne(
+    { _id: submission._id, status: "processing" },
+    { $set: { status } }
+  );
+
+// Pay out a locked submission from the task's escrow and mark it approved.
+// Throws EscrowExhaustedError or SlotsFullError if it can't be paid.
+const approveSubmission = async (db, session, { submission, task, actor, feedback, autoApproved = false }) => {
+  const updates = {
+    status: "approved",
+    feedback: feedback || "",
+    reviewedAt: new Date(),
+    rewardPaid: workerPayout(task),
+    platformFee: approvalFee(task),
+    autoApproved,
+  };
+
+  // Pay the reward and platform fee out of the task's escrow
+  await releaseEscrow(db, session, {
+    task,
+    amount: slotCost(task),
+    submission: submission._id,
+    actor,
+  });
+
+  // Award coins to worker
+  await adjustCoins(db, session, {
+    userId: submission.worker,
+    delta: updates.rewardPaid,
+    reason: "submission_reward",
+    task: task._id,
+    submission: submission._id,
+  });
+
+  // SAFETY CHECK: Move the submission's slot to completed, refusing
+  // approvals beyond the task's quantity
+  await fillSlot(db, session, task._id);
+
+  // Complete the task once every slot is filled
+  await completeIfFilled(db, session, { taskId: task._id, actor });
+
+  await db.collection("submissions").updateOne(
+    { _id: submission._id },
+    { $set: updates },
+    { session }
+  );
+
+  return updates;
+};
+
+// Mark a locked submission rejected and give its slot back
+const rejectSubmission = async (db, session, { submission, task, actor, feedback }) => {
+  const updates = {
+    status: "rejected",
+    feedback: feedback || "",
+    reviewedAt: new Date(),
+  };
+
+  // Tasks that allow resubmission let the worker try again. Recorded so an
+  // upheld appeal knows to take the submission back.
+  updates.quotaReturned = await returnSubmission(db, session, { task, workerId: submission.worker });
+
+  await db.collection("submissions").updateOne(
+    { _id: submission._id },
+    { $set: updates },
+    { session }
+  );
+
+  // The rejected submission's slot opens up for another worker
+  await freeSlots(db, session, task._id);
+
+  // A closed task held this submission's slot back; return it to the buyer
+  if (CLOSED_STATUSES.includes(task.status)) {
+    await refundEscrow(db, session, {
+      task,
+      amount: slotCost(task),
+      actor,
+      note: "Pending submission rejected after task closed",
+    });
+  }
+
+  return updates;
+};
+
+// Send a locked submission back to its worker with feedback. It keeps its
+// slot until the worker resubmits or the revision window runs out.
+// Throws RevisionLimitError once the task's revision rounds are used up.
+const requestRevision = async (db, session, { submission, task, feedback }) => {
+  const maxRevisions = task.maxRevisions ?? DEFAULT_MAX_REVISIONS;
+  if ((submission.revisionCount || 0) >= maxRevisions) {
+    throw new RevisionLimitError(maxRevisions);
+  }
+
+  const updates = {
+    status: "revision_requested",
+    feedback,
+    reviewedAt: new Date(),
+    reviewDueAt: null,
+    revisionDueAt: reviewDueAt(task),
+  };
+
+  await db.collection("submissions").updateOne(
+    { _id: submission._id },
+    { $set: updates, $inc: { revisionCount: 1 } },
+    { session }
+  );
+
+  return updates;
+};
+
+// Submissions waiting for review before due dates existed get a full window from now
+const backfillReviewDueDates = async (db) => {
+  await db.collection("submissions").updateMany(
+    { status: { $in: ["pending", "processing"] }, reviewDueAt: { $exists: false } },
+    { $set: { reviewDueAt: new Date(Date.now() + getDefaultReviewWindowHours() * HOUR_MS), reviewWarningSentAt: null } }
+  );
+};
+
+module.exports = {
+  RevisionLimitError,
+  getReviewWarningHours,
+  parseReviewWindow,
+  parseMaxRevisions,
+  reviewDueAt,
+  lockSubmission,
+  unlockSubmission,
+  approveSubmission,
+  rejectSubmission,
+  requestRevision,
+  backfillReviewDueDates,
+};
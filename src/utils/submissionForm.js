@@ -0,0 +1,332 @@
+// Field types a buyer can put on a task's submission form
+const FIELD_TYPES = ["text", "url", "email", "number", "single_choice", "multi_choice"];
+
+const CHOICE_TYPES = ["single_choice", "multi_choice"];
+
+const MAX_FIELDS = 20;
+const MAX_TEXT_LENGTH = 5000;
+const MAX_PATTERN_LENGTH = 200;
+const MAX_PATTERN_QUANTIFIERS = 2;
+const MAX_PATTERN_INPUT_LENGTH = 500;
+const MAX_OPTIONS = 50;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// SECURITY FIX: Buyer patterns run on the event loop, so refuse the shapes
+// that make JavaScript's regex engine backtrack for seconds on a few hundred
+// characters: repeated groups that contain a quantifier or alternative
+// (`(a+)+`, `(a|ab)*`), backreferences, and more than two variable-length
+// quantifiers in all (`\w+\w+\w+`). Returns an error message or null.
+const checkPatternSafety = (pattern) => {
+  const groups = [{ hasQuantifier: false, hasAlternation: false }];
+  let lastGroup = null;
+  let variableQuantifiers = 0;
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    let closedGroup = null;
+
+    if (char === "\\") {
+      const next = pattern[i + 1] || "";
+      if (/[1-9]/.test(next) || next === "k") {
+        return "backreferences are not allowed";
+      }
+      i += 1;
+    } else if (char === "[") {
+      // Skip the character class; its contents can't nest anything
+      for (i += 1; i < pattern.length && pattern[i] !== "]"; i++) {
+        if (pattern[i] === "\\") i += 1;
+      }
+    } else if (char === "(") {
+      groups.push({ hasQuantifier: false, hasAlternation: false });
+      // Skip the group kind, e.g. (?:, (?=, (?<!, (?<name>
+      if (pattern[i + 1] === "?") {
+        const kind = /^\?(?:[:=!]|<[=!]|<[^>]*>)/.exec(pattern.slice(i + 1));
+        i += kind ? kind[0].length : 1;
+      }
+    } else if (char === ")") {
+      closedGroup = groups.length > 1 ? groups.pop() : null;
+      if (closedGroup) {
+        const parent = groups[groups.length - 1];
+        parent.hasQuantifier = parent.hasQuantifier || closedGroup.hasQuantifier;
+        parent.hasAlternation = parent.hasAlternation || closedGroup.hasAlternation;
+      }
+    } else if (char === "|") {
+      groups[groups.length - 1].hasAlternation = true;
+    } else if (char === "*" || char === "+" || char === "?" || char === "{") {
+      let variable = char !== "?";
+      if (char === "{") {
+        const bounds = /^\{(\d*)(,?)(\d*)\}/.exec(pattern.slice(i));
+        if (!bounds) {
+          // A brace that isn't a quantifier is a literal character
+          lastGroup = null;
+          continue;
+        }
+        i += bounds[0].length - 1;
+        variable = bounds[2] === "," && bounds[1] !== bounds[3];
+      }
+      // A lazy suffix belongs to this quantifier
+      if (pattern[i + 1] === "?") i += 1;
+
+      const repeats = char !== "?";
+      if (repeats && lastGroup && (lastGroup.hasQuantifier || lastGroup.hasAlternation)) {
+        return "repeated groups cannot contain quantifiers or alternatives";
+      }
+      groups[groups.length - 1].hasQuantifier = true;
+      if (variable) {
+        variableQuantifiers += 1;
+      }
+      if (variableQuantifiers > MAX_PATTERN_QUANTIFIERS) {
+        return `at most ${MAX_PATTERN_QUANTIFIERS} variable-length quantifiers (*, +, {n,m}) are allowed`;
+      }
+    }
+
+    lastGroup = closedGroup;
+  }
+
+  return null;
+};
+
+// VALIDATION FIX: Validate a buyer's form definition before it is stored on a task.
+// Returns { form } with only known properties kept, or { error }.
+const validateFormDefinition = (fields) => {
+  if (!Array.isArray(fields)) {
+    return { error: "Submission form must be an array of fields" };
+  }
+
+  if (fields.length > MAX_FIELDS) {
+    return { error: `Submission form can have at most ${MAX_FIELDS} fields` };
+  }
+
+  const form = [];
+  const keys = new Set();
+
+  for (const [index, field] of fields.entries()) {
+    const where = `Field ${index + 1}`;
+
+    if (!field || typeof field !== "object") {
+      return { error: `${where} must be an object` };
+    }
+
+    const { key, label, type, required, pattern, options, min, max } = field;
+
+    if (typeof key !== "string" || !/^[a-z][a-z0-9_]{0,39}$/.test(key)) {
+      return { error: `${where}: key must be 1-40 lowercase letters, numbers or underscores, starting with a letter` };
+    }
+    if (keys.has(key)) {
+      return { error: `${where}: duplicate key '${key}'` };
+    }
+    keys.add(key);
+
+    if (typeof label !== "string" || label.trim().length < 1 || label.trim().length > 200) {
+      return { error: `${where}: label must be between 1 and 200 characters` };
+    }
+
+    if (!FIELD_TYPES.includes(type)) {
+      return { error: `${where}: type must be one of: ${FIELD_TYPES.join(", ")}` };
+    }
+
+    if (required !== undefined && typeof required !== "boolean") {
+      return { error: `${where}: required must be true or false` };
+    }
+
+    const clean = { key, label: label.trim(), type, required: required === true };
+
+    if (pattern !== undefined && pattern !== null && pattern !== "") {
+      if (!["text", "url", "email"].includes(type)) {
+        return { error: `${where}: pattern only applies to text, url and email fields` };
+      }
+      if (typeof pattern !== "string" || pattern.length > MAX_PATTERN_LENGTH) {
+        return { error: `${where}: pattern must be a string of at most ${MAX_PATTERN_LENGTH} characters` };
+      }
+      try {
+        new RegExp(pattern);
+      } catch (error) {
+        return { error: `${where}: pattern is not a valid regular expression` };
+      }
+      const unsafe = checkPatternSafety(pattern);
+      if (unsafe) {
+        return { error: `${where}: pattern is too complex (${unsafe})` };
+      }
+      clean.pattern = pattern;
+    }
+
+    if (CHOICE_TYPES.includes(type)) {
+      if (!Array.isArray(options) || options.length < 2 || options.length > MAX_OPTIONS) {
+        return { error: `${where}: choice fields need between 2 and ${MAX_OPTIONS} options` };
+      }
+      const cleanOptions = options.map((option) => (typeof option === "string" ? option.trim() : ""));
+      if (cleanOptions.some((option) => option.length < 1 || option.length > 100)) {
+        return { error: `${where}: options must be between 1 and 100 characters` };
+      }
+      if (new Set(cleanOptions).size !== cleanOptions.length) {
+        return { error: `${where}: options must be unique` };
+      }
+      clean.options = cleanOptions;
+    }
+
+    if (type === "number") {
+      for (const [name, value] of [["min", min], ["max", max]]) {
+        if (value === undefined || value === null) continue;
+        if (typeof value !== "number" || !Number.isFinite(value)) {
+          return { error: `${where}: ${name} must be a number` };
+        }
+        clean[name] = value;
+      }
+      if (clean.min !== undefined && clean.max !== undefined && clean.min > clean.max) {
+        return { error: `${where}: min cannot be greater than max` };
+      }
+    }
+
+    form.push(clean);
+  }
+
+  return { form };
+};
+
+const isEmpty = (value) =>
+  value === undefined ||
+  value === null ||
+  (typeof value === "string" && value.trim() === "") ||
+  (Array.isArray(value) && value.length === 0);
+
+// Check one answer against its field. Returns { value } or { error }.
+const validateAnswer = (field, value) => {
+  switch (field.type) {
+    case "text":
+    case "url":
+    case "email": {
+      if (typeof value !== "string") {
+        return { error: "must be text" };
+      }
+      const text = value.trim();
+      if (text.length > MAX_TEXT_LENGTH) {
+        return { error: `cannot exceed ${MAX_TEXT_LENGTH} characters` };
+      }
+      if (field.type === "url") {
+        let url;
+        try {
+          url = new URL(text);
+        } catch (error) {
+          return { error: "must be a valid URL" };
+        }
+        if (!["http:", "https:"].includes(url.protocol)) {
+          return { error: "must be an http or https URL" };
+        }
+      }
+      if (field.type === "email" && !EMAIL_PATTERN.test(text)) {
+        return { error: "must be a valid email address" };
+      }
+      // SECURITY FIX: Only short answers are run through a buyer's pattern,
+      // and patterns stored before the safety check are skipped
+      if (field.pattern && !checkPatternSafety(field.pattern)) {
+        if (text.length > MAX_PATTERN_INPUT_LENGTH) {
+          return { error: `cannot exceed ${MAX_PATTERN_INPUT_LENGTH} characters` };
+        }
+        if (!new RegExp(field.pattern).test(text)) {
+          return { error: "does not match the required format" };
+        }
+      }
+      return { value: text };
+    }
+
+    case "number": {
+      const number = typeof value === "string" && value.trim() !== "" ? Number(value) : value;
+      if (typeof number !== "number" || !Number.isFinite(number)) {
+        return { error: "must be a number" };
+      }
+      if (field.min !== undefined && number < field.min) {
+        return { error: `must be at least ${field.min}` };
+      }
+      if (field.max !== undefined && number > field.max) {
+        return { error: `must be at most ${field.max}` };
+      }
+      return { value: number };
+    }
+
+    case "single_choice": {
+      if (!field.options.includes(value)) {
+        return { error: "must be one of the listed options" };
+      }
+      return { value };
+    }
+
+    case "multi_choice": {
+      if (!Array.isArray(value) || !value.every((choice) => field.options.includes(choice))) {
+        return { error: "must be a list of the listed options" };
+      }
+      if (new Set(value).size !== value.length) {
+        return { error: "cannot pick the same option twice" };
+      }
+      return { value };
+    }
+
+    default:
+      return { error: "has an unknown field type" };
+  }
+};
+
+// VALIDATION FIX: Validate a worker's answers against a task's form.
+// Returns { answers } keyed by field, or { error, fieldErrors }.
+const validateAnswers = (form, answers) => {
+  if (!answers || typeof answers !== "object" || Array.isArray(answers)) {
+    return { error: "Answers must be an object keyed by form field" };
+  }
+
+  const fieldErrors = {};
+  const clean = {};
+  const known = new Set(form.map((field) => field.key));
+
+  Object.keys(answers)
+    .filter((key) => !known.has(key))
+    .forEach((key) => {
+      fieldErrors[key] = "is not a field on this form";
+    });
+
+  form.forEach((field) => {
+    const value = answers[field.key];
+
+    if (isEmpty(value)) {
+      if (field.required) fieldErrors[field.key] = "is required";
+      return;
+    }
+
+    const result = validateAnswer(field, value);
+    if (result.error) {
+      fieldErrors[field.key] = result.error;
+    } else {
+      clean[field.key] = result.value;
+    }
+  });
+
+  if (Object.keys(fieldErrors).length > 0) {
+    const summary = Object.entries(fieldErrors)
+      .map(([key, message]) => `${key} ${message}`)
+      .join("; ");
+    return { error: `Invalid answers: ${summary}`, fieldErrors };
+  }
+
+  if (Object.keys(clean).length === 0) {
+    return { error: "At least one answer is required" };
+  }
+
+  return { answers: clean };
+};
+
+// Plain-text version of structured answers, kept in submissionDetails so
+// listings that only show text still read sensibly
+const summarizeAnswers = (form, answers) =>
+  form
+    .filter((field) => answers[field.key] !== undefined)
+    .map((field) => {
+      const value = answers[field.key];
+      return `${field.label}: ${Array.isArray(value) ? value.join(", ") : value}`;
+    })
+    .join("\n");
+
+module.exports = {
+  FIELD_TYPES,
+  validateFormDefinition,
+  validateAnswers,
+  summarizeAnswers,
+};
@@ -0,0 +1,142 @@
+// How many submissions each worker may make to a task. Every (task, worker)
+// pair has a quota document whose `used` count is raised atomically, so the
+// limit holds even when a worker submits from several tabs at once.
+const DEFAULT_MAX_SUBMISSIONS_PER_WORKER = 1;
+const MAX_SUBMISSIONS_PER_WORKER = 1000;
+
+const maxSubmissions = (task) => task.maxSubmissionsPerWorker || DEFAULT_MAX_SUBMISSIONS_PER_WORKER;
+
+// What a worker is told once they've used up their submissions on a task
+const submissionLimitMessage = (task) => {
+  const max = maxSubmissions(task);
+  return max === 1
+    ? "You have already submitted for this task"
+    : `You have reached the limit of ${max} submissions for this task`;
+};
+
+// Thrown inside a transaction when a worker has no submissions left on a task
+class SubmissionLimitError extends Error {
+  constructor(task) {
+    super(submissionLimitMessage(task));
+    this.name = "SubmissionLimitError";
+  }
+}
+
+// VALIDATION FIX: Validate a task's per-worker submission settings.
+// Returns { limits } with only the fields given, or { error }.
+const parseSubmissionLimits = ({ maxSubmissionsPerWorker, allowResubmission }) => {
+  const limits = {};
+
+  if (maxSubmissionsPerWorker !== undefined) {
+    const max = parseInt(maxSubmissionsPerWorker);
+    if (isNaN(max) || max < 1 || max > MAX_SUBMISSIONS_PER_WORKER) {
+      return { error: `Max submissions per worker must be between 1 and ${MAX_SUBMISSIONS_PER_WORKER}` };
+    }
+    limits.maxSubmissionsPerWorker = max;
+  }
+
+  if (allowResubmission !== undefined) {
+    if (typeof allowResubmission !== "boolean") {
+      return { error: "Allow resubmission must be true or false" };
+    }
+    limits.allowResubmission = allowResubmission;
+  }
+
+  return { limits };
+};
+
+// Submissions a worker has left on a task, for checks before any write
+const getRemainingSubmissions = async (db, { task, workerId }) => {
+  const quota = await db.collection("submission_quotas").findOne({ task: task._id, worker: workerId });
+  return Math.max(0, maxSubmissions(task) - (quota?.used || 0));
+};
+
+// Use one of a worker's submissions on a task. Returns the attempt number
+// for the new submission.
+const useSubmission = async (db, session, { task, workerId }) => {
+  try {
+    // Once the quota is used up the filter stops matching and the upsert
+    // collides with the existing document on the unique index
+    const quota = await db.collection("submission_quotas").findOneAndUpdate(
+      { task: task._id, worker: workerId, used: { $lt: maxSubmissions(task) } },
+      { $inc: { used: 1, attempts: 1 } },
+      { session, upsert: true, returnDocument: "after" }
+    );
+    return quota.attempts;
+  } catch (error) {
+    if (error.code === 11000) {
+      throw new SubmissionLimitError(task);
+    }
+    throw error;
+  }
+};
+
+// Give a rejected submission back to the worker when the task allows resubmitting
+const returnSubmission = async (db, session, { task, workerId }) => {
+  if (!task.allowResubmission) {
+    return false;
+  }
+
+  const result = await db.collection("submission_quotas").updateOne(
+    { task: task._id, worker: workerId, used: { $gt: 0 } },
+    { $inc: { used: -1 } },
+    { session }
+  );
+  return result.modifiedCount === 1;
+};
+
+// Take back a submission given back on rejection, when the rejection is
+// overturned. Throws SubmissionLimitError if the worker has since used it on
+// another attempt.
+const retakeSubmission = async (db, session, { task, workerId }) => {
+  const quota = await db.collection("submission_quotas").findOneAndUpdate(
+    { task: task._id, worker: workerId, used: { $lt: maxSubmissions(task) } },
+    { $inc: { used: 1 } },
+    { session }
+  );
+  if (!quota) {
+    throw new SubmissionLimitError(task);
+  }
+};
+
+// Submissions made before quotas existed are each a worker's first attempt
+const backfillSubmissionQuotas = async (db) => {
+  const legacy = await db.collection("submissions").updateMany(
+    { attempt: { $exists: false } },
+    { $set: { attempt: 1 } }
+  );
+  if (legacy.modifiedCount === 0) {
+    return;
+  }
+
+  await db.collection("submissions").aggregate([
+    {
+      $group: {
+        _id: { task: "$task", worker: "$worker" },
+        used: { $sum: 1 },
+        attempts: { $max: "$attempt" },
+      },
+    },
+    { $project: { _id: 0, task: "$_id.task", worker: "$_id.worker", used: 1, attempts: 1 } },
+    {
+      $merge: {
+        into: "submission_quotas",
+        on: ["task", "worker"],
+        whenMatched: "keepExisting",
+        whenNotMatched: "insert",
+      },
+    },
+  ]).toArray();
+};
+
+module.exports = {
+  DEFAULT_MAX_SUBMISSIONS_PER_WORKER,
+  SubmissionLimitError,
+  submissionLimitMessage,
+  parseSubmissionLimits,
+  getRemainingSubmissions,
+  useSubmission,
+  returnSubmission,
+  retakeSubmission,
+  backfillSubmissionQuotas,
+};
@@ -0,0 +1,234 @@
+const { withTransaction } = require("../config/db");
+const { adjustCoins, InsufficientCoinsError } = require("./ledger");
+const { fundEscrow } = require("./escrow");
+const { getPlatformFee, quoteTask } = require("./fees");
+const { statusChange } = require("./taskLifecycle");
+const { findActiveCategory } = require("./categories");
+const { validateFormDefinition } = require("./submissionForm");
+const { validateEligibility } = require("./eligibility");
+const { parseHoldMinutes } = require("./claims");
+const { DEFAULT_MAX_SUBMISSIONS_PER_WORKER, parseSubmissionLimits } = require("./submissionLimits");
+const { parseReviewWindow, parseMaxRevisions } = require("./review");
+
+// VALIDATION FIX: Validate numeric inputs properly
+const parseRewardAndQuantity = (reward, quantity) => {
+  const rewardNum = parseInt(reward);
+  const quantityNum = parseInt(quantity);
+
+  if (isNaN(rewardNum) || rewardNum <= 0 || rewardNum > 1000) {
+    return { error: "Reward must be a positive number between 1 and 1000 coins" };
+  }
+
+  if (isNaN(quantityNum) || quantityNum <= 0 || quantityNum > 1000) {
+    return { error: "Quantity must be a positive number between 1 and 1000" };
+  }
+
+  return { rewardNum, quantityNum };
+};
+
+// VALIDATION FIX: Deadlines must be valid dates within the next year.
+// Returns { deadlineDate } (null when no deadline is given) or { error }.
+const parseDeadline = (deadline) => {
+  if (!deadline) {
+    return { deadlineDate: null };
+  }
+
+  const deadlineDate = new Date(deadline);
+
+  if (isNaN(deadlineDate.getTime())) {
+    return { error: "Invalid deadline format" };
+  }
+
+  if (deadlineDate <= new Date()) {
+    return { error: "Deadline must be in the future" };
+  }
+
+  // Ensure deadline is not too far in the future (max 1 year)
+  const oneYearFromNow = new Date();
+  oneYearFromNow.setFullYear(oneYearFromNow.getFullYear() + 1);
+
+  if (deadlineDate > oneYearFromNow) {
+    return { error: "Deadline cannot be more than 1 year in the future" };
+  }
+
+  return { deadlineDate };
+};
+
+const optionalText = (value) => (typeof value === "string" ? value.trim() : "");
+
+// Validate everything a buyer can set when creating a task. Shared by task
+// creation, cloning and templates. Returns { fields } or { error }.
+const validateTaskInput = async (db, body) => {
+  const { title, description, category, reward, quantity, deadline } = body;
+
+  // Validate required fields
+  if (!title || !description || !reward || !quantity) {
+    return { error: "Title, description, reward, and quantity are required" };
+  }
+
+  // VALIDATION FIX: Validate title and description length
+  if (typeof title !== "string" || title.trim().length < 3 || title.trim().length > 200) {
+    return { error: "Title must be between 3 and 200 characters" };
+  }
+
+  if (typeof description !== "string" || description.trim().length < 10 || description.trim().length > 2000) {
+    return { error: "Description must be between 10 and 2000 characters" };
+  }
+
+  const { rewardNum, quantityNum, error: numericError } = parseRewardAndQuantity(reward, quantity);
+  if (numericError) {
+    return { error: numericError };
+  }
+
+  // VALIDATION FIX: Prevent task creation with past deadline
+  const { deadlineDate, error: deadlineError } = parseDeadline(deadline);
+  if (deadlineError) {
+    return { error: deadlineError };
+  }
+
+  // Optional typed form that submissions are validated against
+  let form = [];
+  if (body.submissionForm !== undefined && body.submissionForm !== null) {
+    const { form: validForm, error: formError } = validateFormDefinition(body.submissionForm);
+    if (formError) {
+      return { error: formError };
+    }
+    form = validForm;
+  }
+
+  // How long a worker's claim holds a slot on this task
+  const { minutes: holdMinutes, error: holdError } = parseHoldMinutes(body.claimHoldMinutes);
+  if (holdError) {
+    return { error: holdError };
+  }
+
+  // How often each worker may submit, and whether a rejection gives the try back
+  const { limits, error: limitsError } = parseSubmissionLimits(body);
+  if (limitsError) {
+    return { error: limitsError };
+  }
+
+  // How long the buyer has to review a submission before it is auto-approved
+  const { hours: reviewWindowHours, error: reviewWindowError } = parseReviewWindow(body.reviewWindowHours);
+  if (reviewWindowError) {
+    return { error: reviewWindowError };
+  }
+
+  // How many times the buyer may send one submission back for changes
+  const { maxRevisions, error: maxRevisionsError } = parseMaxRevisions(body.maxRevisions);
+  if (maxRevisionsError) {
+    return { error: maxRevisionsError };
+  }
+
+  // Optional rules on which workers may submit
+  const { eligibility, error: eligibilityError } = validateEligibility(body.eligibility);
+  if (eligibilityError) {
+    return { error: eligibilityError };
+  }
+
+  // VALIDATION FIX: Category must be one of the managed categories
+  let categorySlug = "";
+  if (category) {
+    const managed = typeof category === "string" && await findActiveCategory(db, category);
+    if (!managed) {
+      return { error: "Unknown or inactive category. See GET /api/categories for valid categories." };
+    }
+    categorySlug = managed.slug;
+  }
+
+  return {
+    fields: {
+      title: title.trim(),
+      description: description.trim(),
+      category: categorySlug,
+      reward: rewardNum,
+      quantity: quantityNum,
+      claimHoldMinutes: holdMinutes,
+      maxSubmissionsPerWorker: limits.maxSubmissionsPerWorker || DEFAULT_MAX_SUBMISSIONS_PER_WORKER,
+      allowResubmission: limits.allowResubmission || false,
+      reviewWindowHours,
+      maxRevisions,
+      requirements: optionalText(body.requirements),
+      submissionInfo: optionalText(body.submissionInfo),
+      submissionForm: form,
+      eligibility,
+      imageUrl: optionalText(body.imageUrl),
+      deadline: deadlineDate,
+    },
+  };
+};
+
+// The settings of a stored task or template, in the shape validateTaskInput takes
+const taskToInput = (task) => ({
+  title: task.title,
+  description: task.description,
+  category: task.category || undefined,
+  reward: task.reward,
+  quantity: task.quantity,
+  claimHoldMinutes: task.claimHoldMinutes,
+  maxSubmissionsPerWorker: task.maxSubmissionsPerWorker,
+  allowResubmission: task.allowResubmission,
+  reviewWindowHours: task.reviewWindowHours,
+  maxRevisions: task.maxRevisions,
+  requirements: task.requirements,
+  submissionInfo: task.submissionInfo,
+  submissionForm: task.submissionForm,
+  eligibility: task.eligibility
+    ? {
+        ...task.eligibility,
+        allowedWorkers: (task.eligibility.allowedWorkers || []).map(String),
+        blockedWorkers: (task.eligibility.blockedWorkers || []).map(String),
+      }
+    : undefined,
+  imageUrl: task.imageUrl,
+});
+
+// Insert a validated task and charge the buyer for it. Throws
+// InsufficientCoinsError when the buyer can't cover the total cost.
+const createFundedTask = async (db, { buyerId, fields, status, actor, extra = {} }) => {
+  // Buyer-paid platform fees are funded into escrow along with the rewards
+  const quote = quoteTask(getPlatformFee(), fields.reward, fields.quantity);
+  const totalCost = quote.totalCost;
+
+  // SAFETY CHECK: Prevent negative coin balance
+  const currentUser = await db.collection("users").findOne({ _id: buyerId });
+  if (!currentUser || currentUser.coin < totalCost) {
+    throw new InsufficientCoinsError(currentUser?.coin || 0, totalCost);
+  }
+
+  const newTask = {
+    ...fields,
+    buyer: buyerId,
+    completedCount: 0,
+    reservedCount: 0,
+    escrow: totalCost,
+    platformFee: quote.platformFee,
+    status,
+    statusHistory: [statusChange(null, status, actor)],
+    ...extra,
+    createdAt: new Date(),
+  };
+
+  // SAFETY CHECK: Insert the task and deduct coins in one transaction so a
+  // failed deduction never leaves an unfunded task behind
+  await withTransaction(async (session) => {
+    const result = await db.collection("tasks").insertOne(newTask, { session });
+    await adjustCoins(db, session, {
+      userId: buyerId,
+      delta: -totalCost,
+      reason: "task_funding",
+      task: result.insertedId,
+    });
+    await fundEscrow(db, session, { task: newTask, actor });
+  });
+
+  return newTask;
+};
+
+module.exports = {
+  parseRewardAndQuantity,
+  parseDeadline,
+  validateTaskInput,
+  taskToInput,
+  createFundedTask,
+};
@@ -0,0 +1,111 @@
+const { refundEscrow, settleEscrow } = require("./escrow");
+const { slotCost } = require("./fees");
+const { SLOT_HOLDING_STATUSES, releaseTaskClaims } = require("./claims");
+
+const TASK_STATUSES = ["draft", "active", "paused", "completed", "expired", "cancelled"];
+
+// States a task can move to from each state
+const TASK_TRANSITIONS = {
+  draft: ["active", "cancelled"],
+  active: ["paused", "completed", "expired", "cancelled"],
+  paused: ["active", "completed", "expired", "cancelled"],
+  completed: [],
+  expired: [],
+  cancelled: [],
+};
+
+// Tasks that stopped taking work before every slot was filled
+const CLOSED_STATUSES = ["expired", "cancelled"];
+
+const canTransition = (from, to) => (TASK_TRANSITIONS[from] || []).includes(to);
+
+const statusChange = (from, to, actor, note) => ({
+  from,
+  to,
+  actor: actor || null,
+  note: note || "",
+  changedAt: new Date(),
+});
+
+// Move a task to a new state. Only applies if the task is still in the state
+// it was read in, so concurrent changes can't both succeed. Returns the
+// updated task, or null if the task changed in the meantime.
+const transitionTask = async (db, session, { task, to, actor, note }) => {
+  if (!canTransition(task.status, to)) {
+    return null;
+  }
+
+  return db.collection("tasks").findOneAndUpdate(
+    { _id: task._id, status: task.status },
+    {
+      $set: { status: to, updatedAt: new Date() },
+      $push: { statusHistory: statusChange(task.status, to, actor, note) },
+    },
+    { session, returnDocument: "after" }
+  );
+};
+
+// Cancel or expire a task and refund the unused escrow. Pending submissions
+// stay reviewable, so escrow covering them is held back until they're reviewed.
+const closeTask = async (db, session, { task, to, actor, note }) => {
+  const updated = await transitionTask(db, session, { task, to, actor, note });
+  if (!updated) {
+    return null;
+  }
+
+  // Nobody can submit to a closed task, so slots held by claims are let go
+  await releaseTaskClaims(db, session, { taskId: task._id });
+
+  const pendingSubmissions = await db.collection("submissions").countDocuments(
+    { task: task._id, status: { $in: SLOT_HOLDING_STATUSES } },
+    { session }
+  );
+  const reserved = pendingSubmissions * slotCost(updated);
+
+  const refunded = await refundEscrow(db, session, {
+    task: updated,
+    amount: Math.max(0, updated.escrow - reserved),
+    actor,
+    note: note || `Task ${to}`,
+  });
+
+  return { task: updated, refunded, reserved: Math.min(reserved, updated.escrow) };
+};
+
+// Mark a task completed once every slot is filled, refunding any leftover escrow
+const completeIfFilled = async (db, session, { taskId, actor }) => {
+  const task = await db.collection("tasks").findOne({ _id: taskId }, { session });
+  if (!task || task.completedCount < task.quantity) {
+    return null;
+  }
+
+  const updated = await transitionTask(db, session, {
+    task,
+    to: "completed",
+    actor,
+    note: "All slots filled",
+  });
+  if (!updated) {
+    return null;
+  }
+
+  await settleEscrow(db, session, {
+    task: updated,
+    disposition: "refund",
+    actor,
+    note: "Task completed",
+  });
+
+  return updated;
+};
+
+module.exports = {
+  TASK_STATUSES,
+  TASK_TRANSITIONS,
+  CLOSED_STATUSES,
+  canTransition,
+  statusChange,
+  transitionTask,
+  closeTask,
+  completeIfFilled,
+};
@@ -0,0 +1,229 @@
+const { ObjectId } = require("mongodb");
+
+// Sort options for task listings and the field each one sorts by
+const TASK_SORTS = {
+  newest: "createdAt",
+  reward: "reward",
+  deadline: "deadline",
+  remaining: "remainingSlots",
+  relevance: "score",
+};
+
+const SNIPPET_LENGTH = 160;
+
+// VALIDATION FIX: Parse the shared task filters from a query string.
+// Returns { filter } to merge into a $match stage, or { error }.
+const parseTaskFilters = ({ category, minReward, maxReward, deadlineFrom, deadlineTo }) => {
+  const filter = {};
+
+  if (category) filter.category = category;
+
+  if (minReward !== undefined || maxReward !== undefined) {
+    filter.reward = {};
+    for (const [param, operator] of [[minReward, "$gte"], [maxReward, "$lte"]]) {
+      if (param === undefined) continue;
+      const value = parseInt(param);
+      if (isNaN(value) || value < 0) {
+        return { error: "Reward filters must be non-negative numbers" };
+      }
+      filter.reward[operator] = value;
+    }
+  }
+
+  if (deadlineFrom !== undefined || deadlineTo !== undefined) {
+    filter.deadline = {};
+    for (const [param, operator] of [[deadlineFrom, "$gte"], [deadlineTo, "$lte"]]) {
+      if (param === undefined) continue;
+      const value = new Date(param);
+      if (isNaN(value.getTime())) {
+        return { error: "Deadline filters must be valid dates" };
+      }
+      filter.deadline[operator] = value;
+    }
+  }
+
+  return { filter };
+};
+
+// Parse sort and order params into a $sort stage. Returns { sort } or { error }.
+const parseTaskSort = ({ sort = "newest", order }, { hasSearch = false } = {}) => {
+  const field = TASK_SORTS[sort];
+  if (!field) {
+    return { error: "Sort must be one of: " + Object.keys(TASK_SORTS).join(", ") };
+  }
+
+  if (sort === "relevance" && !hasSearch) {
+    return { error: "Sorting by relevance requires a search query" };
+  }
+
+  if (order !== undefined && !["asc", "desc"].includes(order)) {
+    return { error: "Order must be 'asc' or 'desc'" };
+  }
+
+  // Deadlines read soonest first by default, everything else largest first
+  const defaultOrder = sort === "deadline" ? "asc" : "desc";
+  const direction = (order || defaultOrder) === "asc" ? 1 : -1;
+
+  return { sort: { [field]: direction, _id: direction }, field, direction };
+};
+
+// Tasks without a deadline sort after every task that has one
+const NO_DEADLINE = new Date("9999-12-31T00:00:00.000Z");
+
+// Sorts on a stored field, which keyset pages can match and sort on
+// straight from an index
+const INDEXED_SORTS = ["createdAt", "reward"];
+
+// Expression over a task's stored fields for the value it is sorted by, used
+// for keyset pagination
+const sortValueExpression = (field) => {
+  if (field === "deadline") return { $ifNull: ["$deadline", NO_DEADLINE] };
+  if (field === "remainingSlots") return { $subtract: ["$quantity", "$completedCount"] };
+  return `$${field}`;
+};
+
+// Keyset condition on stored fields: every task strictly after the cursor in
+// sort order. Goes in the first $match, ahead of any computed stage.
+const keysetFilter = (field, direction, after) => {
+  const comparison = direction === 1 ? "$gt" : "$lt";
+  const id = new ObjectId(after.id);
+
+  if (INDEXED_SORTS.includes(field)) {
+    return {
+      $or: [
+        { [field]: { [comparison]: after.value } },
+        { [field]: after.value, _id: { [comparison]: id } },
+      ],
+    };
+  }
+
+  const value = sortValueExpression(field);
+  return {
+    $expr: {
+      $or: [
+        { [comparison]: [value, after.value] },
+        { $and: [{ $eq: [value, after.value] }, { [comparison]: ["$_id", id] }] },
+      ],
+    },
+  };
+};
+
+// Opaque cursor pointing just past the last task of a page
+const encodeCursor = (value, id) =>
+  Buffer.from(
+    JSON.stringify({
+      v: value instanceof Date ? value.toISOString() : value,
+      d: value instanceof Date,
+      id: id.toString(),
+    })
+  ).toString("base64url");
+
+// Type of the value each keyset-paginated sort field holds
+const SORT_VALUE_TYPES = {
+  createdAt: "date",
+  deadline: "date",
+  reward: "number",
+  remainingSlots: "number",
+};
+
+// SECURITY FIX: Returns { value, id } or null if the cursor is malformed or
+// its value isn't of the sort field's type, so it can never be read as a
+// query operator or expression
+const decodeCursor = (cursor, field) => {
+  try {
+    const { v, d, id } = JSON.parse(Buffer.from(cursor, "base64url").toString());
+    if (typeof id !== "string" || !/^[a-f0-9]{24}$/.test(id)) {
+      return null;
+    }
+
+    if (SORT_VALUE_TYPES[field] === "date") {
+      const value = d === true && typeof v === "string" && v.length <= 30 ? new Date(v) : null;
+      return value && !isNaN(value.getTime()) ? { value, id } : null;
+    }
+
+    if (SORT_VALUE_TYPES[field] === "number") {
+      return d !== true && Number.isFinite(v) ? { value: v, id } : null;
+    }
+
+    return null;
+  } catch (error) {
+    return null;
+  }
+};
+
+const escapeHtml = (text) =>
+  text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+// Words from a $text search string, without negated terms
+const searchTerms = (q) =>
+  q
+    .replace(/"/g, " ")
+    .split(/\s+/)
+    .filter((term) => term && !term.startsWith("-"))
+    .map((term) => term.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"));
+
+// Wrap matching words in <mark> tags. Long fields are cut down to a snippet
+// around the first match. Returns null when the field has no match.
+const highlight = (text, pattern, snippet) => {
+  if (!text) return null;
+
+  pattern.lastIndex = 0;
+  const first = pattern.exec(text);
+  if (!first) return null;
+
+  let excerpt = text;
+  if (snippet && text.length > SNIPPET_LENGTH) {
+    const start = Math.max(0, first.index - SNIPPET_LENGTH / 4);
+    excerpt = (start > 0 ? "…" : "") +
+      text.slice(start, start + SNIPPET_LENGTH) +
+      (start + SNIPPET_LENGTH < text.length ? "…" : "");
+  }
+
+  // Escape around the matches rather than before, so entities never match
+  const parts = [];
+  let last = 0;
+  excerpt.replace(pattern, (match, offset) => {
+    parts.push(escapeHtml(excerpt.slice(last, offset)), `<mark>${escapeHtml(match)}</mark>`);
+    last = offset + match.length;
+    return match;
+  });
+  parts.push(escapeHtml(excerpt.slice(last)));
+
+  return parts.join("");
+};
+
+// Highlighted matches of a search query in a task's searchable fields
+const highlightTask = (task, q) => {
+  const terms = searchTerms(q);
+  if (terms.length === 0) return {};
+
+  // Match word prefixes so stemmed matches like "survey" -> "surveys" show up
+  const pattern = new RegExp(`\\b(?:${terms.join("|")})\\w*`, "gi");
+
+  const highlights = {};
+  const title = highlight(task.title, pattern, false);
+  const description = highlight(task.description, pattern, true);
+  const requirements = highlight(task.requirements, pattern, true);
+
+  if (title) highlights.title = title;
+  if (description) highlights.description = description;
+  if (requirements) highlights.requirements = requirements;
+
+  return highlights;
+};
+
+module.exports = {
+  TASK_SORTS,
+  parseTaskFilters,
+  parseTaskSort,
+  INDEXED_SORTS,
+  sortValueExpression,
+  keysetFilter,
+  encodeCursor,
+  decodeCursor,
+  highlightTask,
+};